@@ -0,0 +1,364 @@
+/**
+ * 3D convex hulls of point sets with the Quickhull algorithm
+ * of Barber, Dobkin, and Huhdanpaa (1996)
+ */
+
+/**
+ * Compute the 2D convex hull of points that all lie in a plane,
+ * using Andrew's monotone chain algorithm on their projections
+ *
+ * @param {list} points A list of glMatrix.vec3 points
+ * @param {list} idxs Indices of the points to use
+ * @param {glMatrix.vec3} normal Unit normal of the plane
+ * @param {float} eps Points closer than this to a hull edge are left out
+ *
+ * @returns {list} Indices into points of the hull vertices, in CCW order
+ *                 around the normal
+ */
+function getPlanarHull(points, idxs, normal, eps) {
+    let u = vec3.create();
+    let v = vec3.create();
+    let axis = 0;
+    for (let k = 1; k < 3; k++) {
+        if (Math.abs(normal[k]) < Math.abs(normal[axis])) {
+            axis = k;
+        }
+    }
+    u[axis] = 1;
+    vec3.cross(v, normal, u);
+    vec3.normalize(v, v);
+    vec3.cross(u, v, normal);
+    let pts = idxs.map(function(i) {
+        return {'i':i, 'x':vec3.dot(points[i], u), 'y':vec3.dot(points[i], v)};
+    });
+    pts.sort(function(a, b) {
+        return a.x == b.x ? a.y - b.y : a.x - b.x;
+    });
+    function turn(o, a, b) {
+        // Twice the signed area of the triangle o, a, b, divided
+        // by the length of its base o -> b
+        const area = (a.x-o.x)*(b.y-o.y) - (a.y-o.y)*(b.x-o.x);
+        return area/Math.max(Math.hypot(b.x-o.x, b.y-o.y), eps);
+    }
+    function chain(sorted) {
+        let hull = [];
+        for (const p of sorted) {
+            while (hull.length >= 2 && turn(hull[hull.length-2], hull[hull.length-1], p) <= eps) {
+                hull.pop();
+            }
+            hull.push(p);
+        }
+        hull.pop();
+        return hull;
+    }
+    const lower = chain(pts);
+    const upper = chain(pts.slice().reverse());
+    return lower.concat(upper).map(function(p) {
+        return p.i;
+    });
+}
+
+/**
+ * Compute the convex hull of a set of points with Quickhull.  Points
+ * within a small tolerance of a hull face are treated as being inside
+ * of it, so coplanar and duplicate points are handled robustly.  Faces
+ * of the hull are triangles, except for degenerate inputs:
+ * If all of the points lie in a plane, the hull is a single polygon
+ * with a boundary.  If they all lie on a line, the hull has its two
+ * endpoints as vertices and no faces
+ *
+ * @param {list} points A list of glMatrix.vec3 points
+ *
+ * @returns {HedgeMesh} The convex hull, whose faces point outward
+ */
+function getConvexHull(points) {
+    const N = points.length;
+    let hull = new HedgeMesh();
+    if (N == 0) {
+        return hull;
+    }
+    function finish(idxs, faces) {
+        // Make a mesh out of only the points that were used
+        let newIdx = new Map();
+        let vertices = [];
+        for (const i of idxs) {
+            newIdx.set(i, vertices.length);
+            vertices.push(vec3.clone(points[i]));
+        }
+        faces = faces.map(function(face) {
+            return face.map(function(i) {
+                return newIdx.get(i);
+            });
+        });
+        hull.initFromFaceLists(vertices, undefined, faces);
+        return hull;
+    }
+
+    // Step 1: Pick a tolerance relative to the size of the coordinates
+    let maxAbs = [0, 0, 0];
+    for (const p of points) {
+        for (let k = 0; k < 3; k++) {
+            maxAbs[k] = Math.max(maxAbs[k], Math.abs(p[k]));
+        }
+    }
+    // Positions are usually single precision
+    const eps = 3*1.2e-7*(maxAbs[0] + maxAbs[1] + maxAbs[2]);
+
+    // Step 2: Find an initial simplex from the extreme points
+    let extremes = [];
+    for (let k = 0; k < 3; k++) {
+        let min = 0;
+        let max = 0;
+        for (let i = 1; i < N; i++) {
+            if (points[i][k] < points[min][k]) {
+                min = i;
+            }
+            if (points[i][k] > points[max][k]) {
+                max = i;
+            }
+        }
+        extremes.push(min, max);
+    }
+    let i0 = extremes[0];
+    let i1 = extremes[1];
+    let best = -1;
+    for (const a of extremes) {
+        for (const b of extremes) {
+            const d = vec3.sqrDist(points[a], points[b]);
+            if (d > best) {
+                best = d;
+                i0 = a;
+                i1 = b;
+            }
+        }
+    }
+    if (Math.sqrt(best) <= eps) {
+        return finish([i0], []);
+    }
+    // The point farthest from the line through i0 and i1
+    let dir = vec3.create();
+    vec3.subtract(dir, points[i1], points[i0]);
+    vec3.normalize(dir, dir);
+    let diff = vec3.create();
+    let cross = vec3.create();
+    let i2 = -1;
+    best = eps;
+    for (let i = 0; i < N; i++) {
+        vec3.subtract(diff, points[i], points[i0]);
+        vec3.cross(cross, dir, diff);
+        const d = vec3.length(cross);
+        if (d > best) {
+            best = d;
+            i2 = i;
+        }
+    }
+    if (i2 == -1) {
+        return finish([i0, i1], []);
+    }
+    // The point farthest from the plane through i0, i1, and i2
+    let normal = vec3.create();
+    let e2 = vec3.create();
+    vec3.subtract(e2, points[i2], points[i0]);
+    vec3.cross(normal, dir, e2);
+    vec3.normalize(normal, normal);
+    let i3 = -1;
+    best = eps;
+    for (let i = 0; i < N; i++) {
+        vec3.subtract(diff, points[i], points[i0]);
+        const d = Math.abs(vec3.dot(diff, normal));
+        if (d > best) {
+            best = d;
+            i3 = i;
+        }
+    }
+    if (i3 == -1) {
+        let all = [];
+        for (let i = 0; i < N; i++) {
+            all.push(i);
+        }
+        const polygon = getPlanarHull(points, all, normal, eps);
+        return finish(polygon, [polygon]);
+    }
+
+    // Step 3: Set up the faces of the simplex, oriented outward
+    let faces = [];
+    let edgeFaces = new Map(); // Directed edge a -> b to the face that has it
+    function edgeKey(a, b) {
+        return a*N + b;
+    }
+    function addFace(a, b, c) {
+        let face = {'v':[a, b, c], 'n':new Float64Array(3), 'd':0,
+                    'outside':[], 'far':-1, 'farDist':0, 'alive':true};
+        let ab = vec3.create();
+        let ac = vec3.create();
+        vec3.subtract(ab, points[b], points[a]);
+        vec3.subtract(ac, points[c], points[a]);
+        vec3.cross(face.n, ab, ac);
+        vec3.normalize(face.n, face.n);
+        face.d = vec3.dot(face.n, points[a]);
+        edgeFaces.set(edgeKey(a, b), face);
+        edgeFaces.set(edgeKey(b, c), face);
+        edgeFaces.set(edgeKey(c, a), face);
+        faces.push(face);
+        return face;
+    }
+    function distance(face, i) {
+        return vec3.dot(face.n, points[i]) - face.d;
+    }
+    vec3.subtract(diff, points[i3], points[i0]);
+    if (vec3.dot(diff, normal) > 0) {
+        // Make i0, i1, i2 wind clockwise as seen from i3
+        const temp = i1;
+        i1 = i2;
+        i2 = temp;
+    }
+    addFace(i0, i1, i2);
+    addFace(i0, i3, i1);
+    addFace(i1, i3, i2);
+    addFace(i2, i3, i0);
+
+    // Assign every point to the face that it is farthest above, if any
+    function assign(face, i, d) {
+        face.outside.push(i);
+        if (d > face.farDist) {
+            face.farDist = d;
+            face.far = i;
+        }
+    }
+    function assignToFaces(idxs, candidates) {
+        for (const i of idxs) {
+            let bestFace = null;
+            let bestDist = eps;
+            for (const face of candidates) {
+                const d = distance(face, i);
+                if (d > bestDist) {
+                    bestDist = d;
+                    bestFace = face;
+                }
+            }
+            if (bestFace !== null) {
+                assign(bestFace, i, bestDist);
+            }
+        }
+    }
+    let all = [];
+    for (let i = 0; i < N; i++) {
+        if (i != i0 && i != i1 && i != i2 && i != i3) {
+            all.push(i);
+        }
+    }
+    assignToFaces(all, faces.slice());
+
+    // Whether a face on the other side of the edge a -> b of a visible face
+    // has to go too.  If the eye is within the tolerance of the plane of the
+    // face, the new face a, b, eye would be in that plane too, so the face only
+    // stays if the new face is clearly on the other side of the edge from it.
+    // Otherwise the new face would have no area or fold back over it
+    let edge = vec3.create();
+    let toEye = vec3.create();
+    function isVisible(face, a, b, eye) {
+        const d = distance(face, eye);
+        if (d > eps) {
+            return true;
+        }
+        if (d < -eps) {
+            return false;
+        }
+        vec3.subtract(edge, points[b], points[a]);
+        vec3.subtract(toEye, points[eye], points[a]);
+        vec3.cross(cross, edge, toEye);
+        return vec3.dot(cross, face.n) <= eps*vec3.length(edge);
+    }
+
+    // Step 4: Repeatedly add the farthest point above a face
+    let stack = faces.slice();
+    while (stack.length > 0) {
+        const start = stack.pop();
+        if (!start.alive || start.outside.length == 0) {
+            continue;
+        }
+        const eye = start.far;
+        // Find the faces that the eye can see, and the horizon
+        // of directed edges between those and the rest
+        let visible = [start];
+        start.alive = false;
+        let horizon = [];
+        for (let f = 0; f < visible.length; f++) {
+            const v = visible[f].v;
+            for (let k = 0; k < 3; k++) {
+                const a = v[k];
+                const b = v[(k+1)%3];
+                const other = edgeFaces.get(edgeKey(b, a));
+                if (!other.alive) {
+                    continue;
+                }
+                if (isVisible(other, a, b, eye)) {
+                    other.alive = false;
+                    visible.push(other);
+                }
+                else {
+                    horizon.push([a, b]);
+                }
+            }
+        }
+        // Cone the horizon to the eye, and give the new faces
+        // the points that were outside of the faces they replace
+        let newFaces = [];
+        for (const ab of horizon) {
+            newFaces.push(addFace(ab[0], ab[1], eye));
+        }
+        for (const face of visible) {
+            assignToFaces(face.outside.filter(function(i) {
+                return i != eye;
+            }), newFaces);
+            face.outside = [];
+        }
+        for (const face of newFaces) {
+            stack.push(face);
+        }
+    }
+
+    // Step 5: Gather up the faces that are left
+    let used = new Set();
+    let hullFaces = [];
+    for (const face of faces) {
+        if (face.alive) {
+            hullFaces.push(face.v);
+            for (const i of face.v) {
+                used.add(i);
+            }
+        }
+    }
+    return finish(Array.from(used), hullFaces);
+}
+
+/**
+ * Sample random points, for instance to try out convex hulls
+ *
+ * @param {int} N Number of points
+ * @param {string} distribution 'cube': Uniform in the cube [-1, 1]^3
+ *                              'ball': Uniform in the unit ball
+ *                              'sphere': Uniform on the unit sphere, so
+ *                                        that every point is on the hull
+ *
+ * @returns {list} A list of N glMatrix.vec3 points
+ */
+function getRandomPoints(N, distribution) {
+    let points = [];
+    while (points.length < N) {
+        let p = vec3.fromValues(2*Math.random()-1, 2*Math.random()-1, 2*Math.random()-1);
+        if (distribution == 'cube') {
+            points.push(p);
+            continue;
+        }
+        const len = vec3.length(p);
+        if (len > 1 || len == 0) {
+            continue;
+        }
+        if (distribution == 'sphere') {
+            vec3.scale(p, p, 1/len);
+        }
+        points.push(p);
+    }
+    return points;
+}
@@ -0,0 +1,544 @@
+/**
+ * Interactive deformation of a HedgeMesh, where a set of handle vertices
+ * is moved around, a set of anchor vertices stays put, and the rest of a
+ * region of interest follows along.  Laplacian editing keeps the Laplacian
+ * coordinates of the vertices, which describe the local detail, as close
+ * as possible to what they were.  This is the basic least squares system
+ * of Laplacian surface editing (Sorkine et al. 2004), without the
+ * transformation that paper estimates for each vertex, so the detail
+ * keeps its rest orientation.  As-rigid-as-possible deformation (Sorkine
+ * and Alexa 2007) does let the detail rotate along with the surface, so
+ * it doesn't shear or shrink under large rotations of the handles
+ */
+
+/**
+ * What the deformation editors have in common: the rest positions, and
+ * which vertices are held in place by the handles, the anchors, or by
+ * being outside of the region of interest
+ */
+class MeshEditor {
+    /**
+     * @param {HedgeMesh} mesh The mesh to deform
+     * @param {list} handles Indices of the vertices that will be moved,
+     *                       as a list or a Set
+     * @param {list} anchors Indices of the vertices that stay where they are
+     * @param {list} roi Indices of the vertices in the region of interest,
+     *                   which are the only ones that can move.  If this
+     *                   is undefined or empty, the whole mesh can move
+     */
+    constructor(mesh, handles, anchors, roi) {
+        handles = Array.from(handles);
+        anchors = Array.from(anchors);
+        roi = roi === undefined ? [] : Array.from(roi);
+        if (handles.length == 0) {
+            throw "Error (MeshEditor): There must be at least one handle";
+        }
+        const N = mesh.vertices.length;
+        this.mesh = mesh;
+        this.handles = handles;
+        this.rest = mesh.vertices.map(function(v) {
+            return vec3.clone(v.pos);
+        });
+        let inROI = new Array(N).fill(roi.length == 0);
+        for (const i of roi) {
+            inROI[i] = true;
+        }
+        this.inROI = inROI;
+        // Vertices that aren't on any face have no neighbors to
+        // pull them along, so they're held too
+        let constrained = mesh.vertices.map(function(v) {
+            return !inROI[v.ID] || v.h === null;
+        });
+        for (const i of handles.concat(anchors)) {
+            constrained[i] = true;
+        }
+        // Index of each unknown vertex among the unknowns, or -1
+        this.freeIdx = new Int32Array(N).fill(-1);
+        this.free = [];
+        for (let i = 0; i < N; i++) {
+            if (!constrained[i]) {
+                this.freeIdx[i] = this.free.length;
+                this.free.push(i);
+            }
+        }
+        // Every connected piece of the unknowns has to touch a vertex that's
+        // held, or nothing says where it goes.  The factorization can't be
+        // counted on to catch this, since roundoff can make it go through
+        let visited = new Uint8Array(N);
+        for (const seed of this.free) {
+            if (visited[seed]) {
+                continue;
+            }
+            visited[seed] = 1;
+            let stack = [seed];
+            let held = false;
+            while (stack.length > 0) {
+                const v = mesh.vertices[stack.pop()];
+                for (const w of v.getVertexNeighbors()) {
+                    if (constrained[w.ID]) {
+                        held = true;
+                    }
+                    else if (!visited[w.ID]) {
+                        visited[w.ID] = 1;
+                        stack.push(w.ID);
+                    }
+                }
+            }
+            if (!held) {
+                throw "Error (MeshEditor): Every part of the region of interest " +
+                      "must be connected to a handle or an anchor";
+            }
+        }
+        this.solver = null;
+    }
+
+    /**
+     * Factor the matrix of the system for the unknowns, which
+     * is used for every solve after that
+     *
+     * @param {COOMatrix} A The matrix
+     */
+    factor(A) {
+        try {
+            this.solver = new SparseCholesky(A.toCSR());
+        }
+        catch (err) {
+            throw "Error (MeshEditor): Every part of the region of interest " +
+                  "must be connected to a handle or an anchor";
+        }
+    }
+
+    /**
+     * Put the handles at their targets and every other vertex
+     * that can't move at its rest position
+     *
+     * @param {list} targets A glMatrix.vec3 position for each handle, in
+     *                       the same order as the handles were given
+     */
+    placeConstrained(targets) {
+        let vertices = this.mesh.vertices;
+        for (let i = 0; i < vertices.length; i++) {
+            if (this.freeIdx[i] == -1) {
+                vec3.copy(vertices[i].pos, this.rest[i]);
+            }
+        }
+        for (let k = 0; k < this.handles.length; k++) {
+            vec3.copy(vertices[this.handles[k]].pos, targets[k]);
+        }
+    }
+
+    /**
+     * Solve for the positions of the unknown vertices with the
+     * factored matrix, one coordinate at a time
+     *
+     * @param {list} b The right hand side for each coordinate
+     */
+    solveFree(b) {
+        const solver = this.solver;
+        const x = b.map(function(bk) {
+            return solver.solve(bk);
+        });
+        for (let j = 0; j < this.free.length; j++) {
+            let pos = this.mesh.vertices[this.free[j]].pos;
+            for (let k = 0; k < 3; k++) {
+                pos[k] = x[k][j];
+            }
+        }
+        this.mesh.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Put every vertex back where it was when the editor was made
+     */
+    reset() {
+        for (let i = 0; i < this.rest.length; i++) {
+            vec3.copy(this.mesh.vertices[i].pos, this.rest[i]);
+        }
+        this.mesh.needsDisplayUpdate = true;
+    }
+}
+
+/**
+ * Deform a region of a mesh with Laplacian editing.  The
+ * least squares system is factored once when the editor is made, so
+ * that every new position of the handles only takes a few triangular
+ * solves, which is fast enough to preview while dragging
+ */
+class LaplacianEditor extends MeshEditor {
+    /**
+     * Set up the least squares system for a deformation
+     *
+     * @param {HedgeMesh} mesh The mesh to deform
+     * @param {list} handles Indices of the vertices that will be moved
+     * @param {list} anchors Indices of the vertices that stay where they are
+     * @param {list} roi Indices of the vertices in the region of interest
+     *                   (see MeshEditor)
+     * @param {string} weighting 'cotangent' (default) or 'uniform'
+     *                           (see HVertex.getLaplacianWeights)
+     */
+    constructor(mesh, handles, anchors, roi, weighting) {
+        super(mesh, handles, anchors, roi);
+        if (weighting === undefined) {
+            weighting = 'cotangent';
+        }
+        const N = mesh.vertices.length;
+
+        // Step 1: Keep the rows of the Laplacian for the region of interest,
+        // along with the Laplacian coordinates of the rest positions
+        const L = getLaplacianMatrix(mesh, weighting);
+        this.rows = [];
+        for (let i = 0; i < N; i++) {
+            if (!this.inROI[i] || mesh.vertices[i].h === null) {
+                continue;
+            }
+            let row = {'cols':[], 'vals':[], 'delta':vec3.create()};
+            for (let k = L.rowPtr[i]; k < L.rowPtr[i+1]; k++) {
+                row.cols.push(L.colIdx[k]);
+                row.vals.push(L.vals[k]);
+                vec3.scaleAndAdd(row.delta, row.delta, this.rest[L.colIdx[k]], L.vals[k]);
+            }
+            this.rows.push(row);
+        }
+
+        // Step 2: Factor the normal equations A^TA of the least squares
+        // system, where A has the columns of those rows for the unknowns
+        let AtA = new COOMatrix(this.free.length, this.free.length);
+        for (const row of this.rows) {
+            for (let a = 0; a < row.cols.length; a++) {
+                const j = this.freeIdx[row.cols[a]];
+                if (j == -1) {
+                    continue;
+                }
+                for (let b = 0; b < row.cols.length; b++) {
+                    const k = this.freeIdx[row.cols[b]];
+                    if (k > -1) {
+                        AtA.add(j, k, row.vals[a]*row.vals[b]);
+                    }
+                }
+            }
+        }
+        this.factor(AtA);
+    }
+
+    /**
+     * Move the handles, and update the rest of the region of interest
+     *
+     * @param {list} targets A glMatrix.vec3 position for each handle, in
+     *                       the same order as the handles were given
+     */
+    deform(targets) {
+        this.placeConstrained(targets);
+        let vertices = this.mesh.vertices;
+        // Move the known positions over to the right hand side, A^T(delta - Cx_C)
+        const M = this.free.length;
+        let b = [new Float64Array(M), new Float64Array(M), new Float64Array(M)];
+        let residual = vec3.create();
+        for (const row of this.rows) {
+            vec3.copy(residual, row.delta);
+            for (let a = 0; a < row.cols.length; a++) {
+                if (this.freeIdx[row.cols[a]] == -1) {
+                    vec3.scaleAndAdd(residual, residual, vertices[row.cols[a]].pos, -row.vals[a]);
+                }
+            }
+            for (let a = 0; a < row.cols.length; a++) {
+                const j = this.freeIdx[row.cols[a]];
+                if (j > -1) {
+                    for (let k = 0; k < 3; k++) {
+                        b[k][j] += row.vals[a]*residual[k];
+                    }
+                }
+            }
+        }
+        this.solveFree(b);
+    }
+}
+
+/**
+ * Compute the eigenvalues and eigenvectors of a symmetric 3x3
+ * matrix with the cyclic Jacobi method
+ *
+ * @param {list} A The matrix, as a list of 9 floats in row major order
+ *
+ * @returns {object} {'values': List of the 3 eigenvalues,
+ *                    'vectors': List of the 3 corresponding unit
+ *                               eigenvectors, each a list of 3 floats}
+ */
+function getSymmetricEigen3(A) {
+    let a = [[A[0], A[1], A[2]], [A[3], A[4], A[5]], [A[6], A[7], A[8]]];
+    // The columns of V are the eigenvectors
+    let V = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = a[0][1]*a[0][1] + a[0][2]*a[0][2] + a[1][2]*a[1][2];
+        const diag = a[0][0]*a[0][0] + a[1][1]*a[1][1] + a[2][2]*a[2][2];
+        if (off <= 1e-30*diag || off == 0) {
+            break;
+        }
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (a[p][q] == 0) {
+                continue;
+            }
+            // Zero out a[p][q] with a rotation in the p, q plane
+            const theta = (a[q][q] - a[p][p])/(2*a[p][q]);
+            const t = Math.sign(theta || 1)/(Math.abs(theta) + Math.sqrt(theta*theta + 1));
+            const c = 1/Math.sqrt(t*t + 1);
+            const s = t*c;
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p];
+                const akq = a[k][q];
+                a[k][p] = c*akp - s*akq;
+                a[k][q] = s*akp + c*akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k];
+                const aqk = a[q][k];
+                a[p][k] = c*apk - s*aqk;
+                a[q][k] = s*apk + c*aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = V[k][p];
+                const vkq = V[k][q];
+                V[k][p] = c*vkp - s*vkq;
+                V[k][q] = s*vkp + c*vkq;
+            }
+        }
+    }
+    return {'values':[a[0][0], a[1][1], a[2][2]],
+            'vectors':[0, 1, 2].map(function(k) {
+                return [V[0][k], V[1][k], V[2][k]];
+            })};
+}
+
+/**
+ * Find the rotation R that best lines up a set of weighted vectors
+ * with where they've moved, minimizing sum_k w_k |e'_k - Re_k|^2.  This
+ * is R = VU^T from the SVD USV^T of the covariance S = sum_k w_k e_k e'_k^T,
+ * with the column of U for the smallest singular value flipped if that's
+ * needed to make R a rotation rather than a reflection
+ *
+ * @param {list} S The covariance, as a list of 9 floats in row major order
+ *
+ * @returns {Float64Array} R, as 9 floats in row major order
+ */
+function getClosestRotation(S) {
+    // Step 1: The right singular vectors of S are the eigenvectors of S^TS
+    let StS = new Float64Array(9);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            for (let k = 0; k < 3; k++) {
+                StS[i*3+j] += S[k*3+i]*S[k*3+j];
+            }
+        }
+    }
+    const eig = getSymmetricEigen3(StS);
+    let order = [0, 1, 2].sort(function(a, b) {
+        return eig.values[b] - eig.values[a];
+    });
+    let v = order.map(function(k) {
+        return vec3.fromValues(eig.vectors[k][0], eig.vectors[k][1], eig.vectors[k][2]);
+    });
+    vec3.cross(v[2], v[0], v[1]);
+
+    // Step 2: The left singular vectors are S v_k, normalized.  The last
+    // ones are made by Gram-Schmidt and a cross product, which works even
+    // if S is rank deficient, and which makes both U and V rotations, so
+    // the sign of the smallest singular value takes care of reflections
+    let u = v.map(function(vk) {
+        let uk = vec3.create();
+        for (let i = 0; i < 3; i++) {
+            uk[i] = S[i*3]*vk[0] + S[i*3+1]*vk[1] + S[i*3+2]*vk[2];
+        }
+        return uk;
+    });
+    if (vec3.length(u[0]) == 0) {
+        return Float64Array.from([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+    }
+    vec3.normalize(u[0], u[0]);
+    vec3.scaleAndAdd(u[1], u[1], u[0], -vec3.dot(u[0], u[1]));
+    if (vec3.length(u[1]) < 1e-12*Math.sqrt(Math.max(eig.values[order[0]], 0))) {
+        // Any direction perpendicular to u[0] will do
+        let axis = vec3.fromValues(1, 0, 0);
+        if (Math.abs(u[0][0]) > 0.9) {
+            axis = vec3.fromValues(0, 1, 0);
+        }
+        vec3.cross(u[1], u[0], axis);
+    }
+    vec3.normalize(u[1], u[1]);
+    vec3.cross(u[2], u[0], u[1]);
+    let R = new Float64Array(9);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            for (let k = 0; k < 3; k++) {
+                R[i*3+j] += v[k][i]*u[k][j];
+            }
+        }
+    }
+    return R;
+}
+
+/**
+ * Deform a region of a mesh as rigidly as possible, alternating between
+ * fitting a rotation to each vertex's one-ring (the local step) and
+ * solving for the positions that best fit those rotations (the global
+ * step).  The matrix of the global step only depends on the rest shape,
+ * so it is factored once when the editor is made
+ */
+class ARAPEditor extends MeshEditor {
+    /**
+     * Set up the system for a deformation
+     *
+     * @param {HedgeMesh} mesh The mesh to deform
+     * @param {list} handles Indices of the vertices that will be moved
+     * @param {list} anchors Indices of the vertices that stay where they are
+     * @param {list} roi Indices of the vertices in the region of interest
+     *                   (see MeshEditor)
+     * @param {string} weighting 'cotangent' (default) or 'uniform'
+     *                           (see HVertex.getLaplacianWeights).  Cotangent
+     *                           weights are clamped to be positive
+     */
+    constructor(mesh, handles, anchors, roi, weighting) {
+        super(mesh, handles, anchors, roi);
+        if (weighting === undefined) {
+            weighting = 'cotangent';
+        }
+        const N = mesh.vertices.length;
+        // Step 1: Find the weighted one-ring of every vertex in the region
+        // of interest and of every neighbor of an unknown, since the
+        // rotations of all of those are needed in the global step
+        this.rings = new Array(N).fill(null);
+        let needsRing = Array.from(this.inROI);
+        for (const i of this.free) {
+            for (const w of mesh.vertices[i].getVertexNeighbors()) {
+                needsRing[w.ID] = true;
+            }
+        }
+        for (const v of mesh.vertices) {
+            if (needsRing[v.ID] && v.h !== null) {
+                const lap = v.getLaplacianWeights(weighting);
+                // Cotangent weights are negative across edges opposite obtuse
+                // angles, which would make the fit of a rotation reward moving
+                // away from it.  Keeping them a little above zero also keeps
+                // every edge in the matrix of the global step
+                this.rings[v.ID] = {'neighbors':lap.neighbors.map(function(w) {
+                    return w.ID;
+                }), 'weights':lap.weights.map(function(w) {
+                    return Math.max(w, 1e-3);
+                })};
+            }
+        }
+        this.rotations = new Array(N).fill(null);
+        this.energy = 0;
+
+        // Step 2: Factor the Laplacian on the unknowns
+        let L = new COOMatrix(this.free.length, this.free.length);
+        for (let j = 0; j < this.free.length; j++) {
+            const ring = this.rings[this.free[j]];
+            for (let a = 0; a < ring.neighbors.length; a++) {
+                L.add(j, j, ring.weights[a]);
+                const k = this.freeIdx[ring.neighbors[a]];
+                if (k > -1) {
+                    L.add(j, k, -ring.weights[a]);
+                }
+            }
+        }
+        this.factor(L);
+    }
+
+    /**
+     * Fit a rotation to the one-ring of every vertex that has one,
+     * and add up the rigidity energy of those fits
+     *
+     * @returns {float} The energy, sum_i sum_j w_ij |e'_ij - R_i e_ij|^2 over
+     *                  the vertices i in the region of interest
+     */
+    fitRotations() {
+        const vertices = this.mesh.vertices;
+        let e = vec3.create();
+        let ep = vec3.create();
+        let energy = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const ring = this.rings[i];
+            if (ring === null) {
+                continue;
+            }
+            let S = new Float64Array(9);
+            for (let a = 0; a < ring.neighbors.length; a++) {
+                const j = ring.neighbors[a];
+                vec3.subtract(e, this.rest[i], this.rest[j]);
+                vec3.subtract(ep, vertices[i].pos, vertices[j].pos);
+                for (let r = 0; r < 3; r++) {
+                    for (let c = 0; c < 3; c++) {
+                        S[r*3+c] += ring.weights[a]*e[r]*ep[c];
+                    }
+                }
+            }
+            const R = getClosestRotation(S);
+            this.rotations[i] = R;
+            if (!this.inROI[i]) {
+                continue;
+            }
+            for (let a = 0; a < ring.neighbors.length; a++) {
+                const j = ring.neighbors[a];
+                vec3.subtract(e, this.rest[i], this.rest[j]);
+                vec3.subtract(ep, vertices[i].pos, vertices[j].pos);
+                let sqrDist = 0;
+                for (let r = 0; r < 3; r++) {
+                    const Re = R[r*3]*e[0] + R[r*3+1]*e[1] + R[r*3+2]*e[2];
+                    sqrDist += (ep[r] - Re)*(ep[r] - Re);
+                }
+                energy += ring.weights[a]*sqrDist;
+            }
+        }
+        return energy;
+    }
+
+    /**
+     * Move the handles, and update the rest of the region of interest.
+     * The iterations start from where the vertices are now, so dragging
+     * the handles a bit at a time converges quickly
+     *
+     * @param {list} targets A glMatrix.vec3 position for each handle, in
+     *                       the same order as the handles were given
+     * @param {int} iterations Number of local/global iterations (5 by default)
+     *
+     * @returns {float} The rigidity energy after the last iteration
+     */
+    deform(targets, iterations) {
+        if (iterations === undefined) {
+            iterations = 5;
+        }
+        this.placeConstrained(targets);
+        let vertices = this.mesh.vertices;
+        const M = this.free.length;
+        let e = vec3.create();
+        for (let iter = 0; iter < iterations; iter++) {
+            this.fitRotations();
+            // Solve Lx = sum_j w_ij (R_i + R_j)/2 (p_i - p_j), with
+            // the known positions moved over to the right hand side
+            let b = [new Float64Array(M), new Float64Array(M), new Float64Array(M)];
+            for (let j = 0; j < M; j++) {
+                const i = this.free[j];
+                const ring = this.rings[i];
+                const Ri = this.rotations[i];
+                for (let a = 0; a < ring.neighbors.length; a++) {
+                    const n = ring.neighbors[a];
+                    const Rn = this.rotations[n];
+                    const w = ring.weights[a];
+                    vec3.subtract(e, this.rest[i], this.rest[n]);
+                    for (let r = 0; r < 3; r++) {
+                        let Re = 0;
+                        for (let c = 0; c < 3; c++) {
+                            Re += (Ri[r*3+c] + (Rn === null ? Ri[r*3+c] : Rn[r*3+c]))*e[c]/2;
+                        }
+                        b[r][j] += w*Re;
+                        if (this.freeIdx[n] == -1) {
+                            b[r][j] += w*vertices[n].pos[r];
+                        }
+                    }
+                }
+            }
+            this.solveFree(b);
+        }
+        this.energy = this.fitRotations();
+        return this.energy;
+    }
+}
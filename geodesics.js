@@ -0,0 +1,590 @@
+/**
+ * Geodesic distances from a set of source vertices on a HedgeMesh,
+ * either along the edge graph with Dijkstra's algorithm, or with the
+ * heat method of Crane, Weischedel, and Wardetzky (2013)
+ */
+
+/**
+ * Compute the shortest distances along the edges of a mesh from
+ * a set of source vertices
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {list} sources A list of source vertex indices
+ *
+ * @returns {object} {'distances': A list of distances for each vertex, which
+ *                                  is Infinity if it can't be reached,
+ *                    'previous': A list of the index of the vertex before each
+ *                                vertex on its shortest path, or -1 for sources
+ *                                and unreached vertices}
+ */
+function getEdgeGraphDistances(mesh, sources) {
+    const N = mesh.vertices.length;
+    let distances = new Array(N).fill(Infinity);
+    let previous = new Array(N).fill(-1);
+    let done = new Array(N).fill(false);
+    let heap = new MinHeap();
+    for (const s of sources) {
+        distances[s] = 0;
+        heap.push(0, s);
+    }
+    while (heap.size() > 0) {
+        const i = heap.pop().value;
+        if (done[i]) {
+            continue; // A stale entry from before the distance was lowered
+        }
+        done[i] = true;
+        const v = mesh.vertices[i];
+        if (v.h === null) {
+            continue;
+        }
+        for (const h of v.getOutgoingEdges()) {
+            const j = h.head.ID;
+            const d = distances[i] + vec3.distance(v.pos, h.head.pos);
+            if (d < distances[j]) {
+                distances[j] = d;
+                previous[j] = i;
+                heap.push(d, j);
+            }
+        }
+    }
+    return {'distances':distances, 'previous':previous};
+}
+
+/**
+ * Approximate geodesic distances on a triangle mesh from a set
+ * of source vertices with the heat method
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {list} sources A list of source vertex indices
+ * @param {float} timeFactor The heat is diffused for a time of timeFactor
+ *                           times the squared mean edge length.  Smaller times
+ *                           are more accurate in theory, but the heat far from
+ *                           the sources is then too small for the iterative
+ *                           solver to resolve, so this is 10 by default
+ *
+ * @returns {list} A list of distances for each vertex, which is Infinity
+ *                 if it isn't connected to any source
+ */
+function getHeatMethodDistances(mesh, sources, timeFactor) {
+    if (timeFactor === undefined) {
+        timeFactor = 10;
+    }
+    for (const f of mesh.faces) {
+        if (f.getEdges().length != 3) {
+            throw "Error (getHeatMethodDistances): Mesh must be a triangle mesh";
+        }
+    }
+    const N = mesh.vertices.length;
+    const h = mesh.getTriangleQuality().meanEdgeLength;
+    const t = timeFactor*h*h;
+
+    // Step 1: Build the cotangent Laplacian L, with positive diagonal,
+    // and diffuse heat from the sources by solving (M + tL)u = delta
+    const L = getLaplacianMatrix(mesh, 'cotangent');
+    const heat = getMassMatrix(mesh).combine(L, 1, t);
+    let delta = new Float64Array(N);
+    for (const s of sources) {
+        delta[s] = 1;
+    }
+    const u = solveConjugateGradient(heat, delta, 1e-12, 10*N);
+
+    // Step 2: Normalize the negative gradient of u on each face, and
+    // accumulate its integrated divergence at each vertex
+    let div = new Float64Array(N);
+    for (const f of mesh.faces) {
+        const vs = f.getVertices();
+        let n = f.getNormal();
+        const area = f.getArea();
+        if (area == 0) {
+            continue;
+        }
+        let grad = vec3.create();
+        for (let k = 0; k < 3; k++) {
+            // The edge opposite vertex k, rotated into the face
+            const e = getVectorBetweenPoints(vs[(k+2)%3].pos, vs[(k+1)%3].pos);
+            let ne = vec3.create();
+            vec3.cross(ne, n, e);
+            vec3.scaleAndAdd(grad, grad, ne, u[vs[k].ID]/(2*area));
+        }
+        const len = vec3.length(grad);
+        if (len == 0) {
+            continue;
+        }
+        let X = vec3.create();
+        vec3.scale(X, grad, -1/len);
+        for (let k = 0; k < 3; k++) {
+            const p = vs[k].pos;
+            const p1 = vs[(k+1)%3].pos;
+            const p2 = vs[(k+2)%3].pos;
+            const e1 = getVectorBetweenPoints(p1, p);
+            const e2 = getVectorBetweenPoints(p2, p);
+            // Cotangents of the angles at p2 and p1, which are opposite e1 and e2
+            const a1 = getVectorBetweenPoints(p, p2);
+            const b1 = getVectorBetweenPoints(p1, p2);
+            const a2 = getVectorBetweenPoints(p, p1);
+            const b2 = getVectorBetweenPoints(p2, p1);
+            const cot1 = vec3.dot(a1, b1)/(2*area);
+            const cot2 = vec3.dot(a2, b2)/(2*area);
+            div[vs[k].ID] += 0.5*(cot1*vec3.dot(e1, X) + cot2*vec3.dot(e2, X));
+        }
+    }
+
+    // Step 3: Recover the distance by solving the Poisson equation
+    // L phi = -div, and shift it so that it's zero at the sources
+    for (let i = 0; i < N; i++) {
+        div[i] *= -1;
+    }
+    let phi = solveConjugateGradient(L, div, 1e-10, 10*N);
+    const reached = getEdgeGraphDistances(mesh, sources).distances;
+    let offset = Infinity;
+    for (const s of sources) {
+        offset = Math.min(offset, phi[s]);
+    }
+    let distances = [];
+    for (let i = 0; i < N; i++) {
+        distances.push(reached[i] == Infinity ? Infinity : Math.max(phi[i] - offset, 0));
+    }
+    return distances;
+}
+
+/**
+ * Compute geodesic distances from a set of source vertices
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {list} sources A list of source vertex indices
+ * @param {string} mode Either 'dijkstra' for distances along the edges,
+ *                      or 'heat' for the heat method
+ * @param {float} timeFactor The time factor for the heat method
+ *                           (see getHeatMethodDistances)
+ *
+ * @returns {list} A list of distances for each vertex
+ */
+function getGeodesicDistances(mesh, sources, mode, timeFactor) {
+    if (mode == 'heat') {
+        return getHeatMethodDistances(mesh, sources, timeFactor);
+    }
+    return getEdgeGraphDistances(mesh, sources).distances;
+}
+
+/**
+ * Find the shortest path along the edges of a mesh between two vertices
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {int} source Index of the vertex to start at
+ * @param {int} target Index of the vertex to end at
+ *
+ * @returns {object} {'vertices': A list of the vertex indices on the path,
+ *                    'points': A list of glMatrix.vec3 points along the path,
+ *                    'length': The length of the path},
+ *                   or null if the target can't be reached
+ */
+function getShortestEdgePath(mesh, source, target) {
+    const res = getEdgeGraphDistances(mesh, [source]);
+    if (res.distances[target] == Infinity) {
+        return null;
+    }
+    let vertices = [target];
+    while (vertices[vertices.length-1] != source) {
+        vertices.push(res.previous[vertices[vertices.length-1]]);
+    }
+    vertices.reverse();
+    const points = vertices.map(function(i) {
+        return vec3.clone(mesh.vertices[i].pos);
+    });
+    return {'vertices':vertices, 'points':points, 'length':res.distances[target]};
+}
+
+/**
+ * Build a corridor of adjacent triangles that contains a path along
+ * the edges of a mesh, by turning around each vertex on the path
+ * the short way from the face it was reached in to a face that
+ * contains the next edge
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {list} path A list of indices of at least two vertices
+ *                    that are connected by edges
+ *
+ * @returns {list} A list of HFace objects, each of which shares an edge
+ *                 with the next one, or null if a boundary is in the way
+ */
+function getPathCorridor(mesh, path) {
+    let corridor = [];
+    for (let i = 0; i < path.length-1; i++) {
+        const v = mesh.vertices[path[i]];
+        const next = mesh.vertices[path[i+1]];
+        // Faces around v in rotation order, where consecutive faces
+        // share an edge, and faces j and j-1 are on either side of out[j]
+        const out = v.getOutgoingEdges();
+        const faces = out.map(function(h) {
+            return h.face;
+        });
+        const N = out.length;
+        let targets = new Set();
+        for (let j = 0; j < N; j++) {
+            if (out[j].head === next) {
+                targets.add(j);
+                targets.add((j+N-1)%N);
+            }
+        }
+        for (const j of targets) {
+            if (faces[j] === null) {
+                targets.delete(j);
+            }
+        }
+        if (targets.size == 0) {
+            return null;
+        }
+        if (corridor.length == 0) {
+            corridor.push(faces[targets.values().next().value]);
+            continue;
+        }
+        // Walk both ways around v from the current face, and keep
+        // the shorter walk that doesn't cross a boundary
+        const start = faces.indexOf(corridor[corridor.length-1]);
+        let best = null;
+        for (const dir of [1, N-1]) {
+            let walk = [];
+            let j = start;
+            for (let step = 0; step < N && !targets.has(j); step++) {
+                j = (j+dir)%N;
+                if (faces[j] === null) {
+                    walk = null;
+                    break;
+                }
+                walk.push(faces[j]);
+            }
+            if (walk !== null && targets.has(j) && (best === null || walk.length < best.length)) {
+                best = walk;
+            }
+        }
+        if (best === null) {
+            return null;
+        }
+        corridor = corridor.concat(best);
+    }
+    return corridor;
+}
+
+/**
+ * Unfold a corridor of triangles into the plane, and find the shortest
+ * path through it from a vertex of the first triangle to a vertex of the
+ * last with the funnel algorithm
+ *
+ * @param {list} corridor A list of HFace objects, each of which shares
+ *                        an edge with the next one
+ * @param {HVertex} source A vertex on the first face
+ * @param {HVertex} target A vertex on the last face
+ *
+ * @returns {object} {'crossings': A list with, for each edge between consecutive
+ *                                 faces, the glMatrix.vec3 point where the path
+ *                                 crosses it,
+ *                    'bends': A list of {'vertex': The HVertex the path bends
+ *                             around, 'portal': The index of an edge between
+ *                             consecutive faces that it touches it on, where
+ *                             edge i is between faces i-1 and i}}
+ */
+function getFunnelPath(corridor, source, target) {
+    // Step 1: Unfold the triangles, keeping a map from vertices to 2D
+    // positions for each one, since the same vertex may unfold to
+    // different places in different parts of the corridor
+    let layouts = [];
+    let vs = corridor[0].getVertices();
+    let ab = vec3.distance(vs[0].pos, vs[1].pos);
+    let ac = getVectorBetweenPoints(vs[2].pos, vs[0].pos);
+    let abDir = getVectorBetweenPoints(vs[1].pos, vs[0].pos);
+    let x = vec3.dot(ac, abDir)/ab;
+    let first = new Map();
+    first.set(vs[0], [0, 0]);
+    first.set(vs[1], [ab, 0]);
+    first.set(vs[2], [x, Math.sqrt(Math.max(vec3.sqrLen(ac) - x*x, 0))]);
+    layouts.push(first);
+    let portals = [{'left':source, 'right':source, 'leftPos':first.get(source), 'rightPos':first.get(source)}];
+    for (let i = 0; i < corridor.length-1; i++) {
+        const f = corridor[i];
+        const g = corridor[i+1];
+        const shared = f.getEdges().find(function(h) {
+            return h.pair.face === g;
+        });
+        const p = shared.pair.head;
+        const q = shared.head;
+        const c = f.getVertices().find(function(v) {
+            return v !== p && v !== q;
+        });
+        const r = g.getVertices().find(function(v) {
+            return v !== p && v !== q;
+        });
+        const layout = layouts[i];
+        const P = layout.get(p);
+        const Q = layout.get(q);
+        const C = layout.get(c);
+        // Put r on the other side of pq from c
+        const pq = getVectorBetweenPoints(q.pos, p.pos);
+        const pr = getVectorBetweenPoints(r.pos, p.pos);
+        const len = vec3.length(pq);
+        const along = vec3.dot(pr, pq)/len;
+        const height = Math.sqrt(Math.max(vec3.sqrLen(pr) - along*along, 0));
+        const u = [(Q[0]-P[0])/len, (Q[1]-P[1])/len];
+        let perp = [-u[1], u[0]];
+        if (perp[0]*(C[0]-P[0]) + perp[1]*(C[1]-P[1]) > 0) {
+            perp = [u[1], -u[0]];
+        }
+        let next = new Map();
+        next.set(p, P);
+        next.set(q, Q);
+        next.set(r, [P[0] + along*u[0] + height*perp[0], P[1] + along*u[1] + height*perp[1]]);
+        layouts.push(next);
+        // Looking across the edge from c, q is on the left if c is on the left of pq
+        const cSide = u[0]*(C[1]-P[1]) - u[1]*(C[0]-P[0]);
+        if (cSide > 0) {
+            portals.push({'left':q, 'right':p, 'leftPos':Q, 'rightPos':P});
+        }
+        else {
+            portals.push({'left':p, 'right':q, 'leftPos':P, 'rightPos':Q});
+        }
+    }
+    const T = layouts[layouts.length-1].get(target);
+    portals.push({'left':target, 'right':target, 'leftPos':T, 'rightPos':T});
+
+    // Step 2: Pull the string through the portals with the funnel algorithm
+    function cross(a, b, c) {
+        return (b[0]-a[0])*(c[1]-a[1]) - (b[1]-a[1])*(c[0]-a[0]);
+    }
+    function equal(a, b) {
+        return Math.abs(a[0]-b[0]) + Math.abs(a[1]-b[1]) < 1e-12;
+    }
+    let apexes = [{'vertex':source, 'pos':portals[0].leftPos, 'portal':0}];
+    let apex = portals[0].leftPos;
+    let left = apex;
+    let right = apex;
+    let leftIndex = 0;
+    let rightIndex = 0;
+    for (let i = 1; i < portals.length; i++) {
+        const L = portals[i].leftPos;
+        const R = portals[i].rightPos;
+        // Tighten the right side of the funnel
+        if (cross(apex, right, R) >= 0) {
+            if (equal(apex, right) || equal(left, R) || cross(apex, left, R) < 0) {
+                right = R;
+                rightIndex = i;
+            }
+            else {
+                // The right side crossed over the left, so the path bends left
+                apex = left;
+                apexes.push({'vertex':portals[leftIndex].left, 'pos':apex, 'portal':leftIndex});
+                right = apex;
+                rightIndex = leftIndex;
+                i = leftIndex;
+                continue;
+            }
+        }
+        // Tighten the left side of the funnel
+        if (cross(apex, left, L) <= 0) {
+            if (equal(apex, left) || equal(right, L) || cross(apex, right, L) > 0) {
+                left = L;
+                leftIndex = i;
+            }
+            else {
+                apex = right;
+                apexes.push({'vertex':portals[rightIndex].right, 'pos':apex, 'portal':rightIndex});
+                left = apex;
+                leftIndex = rightIndex;
+                i = rightIndex;
+                continue;
+            }
+        }
+    }
+    apexes.push({'vertex':target, 'pos':T, 'portal':portals.length-1});
+
+    // Step 3: Find where each segment between bends crosses the portals
+    let crossings = [];
+    for (let k = 0; k < apexes.length-1; k++) {
+        const A = apexes[k].pos;
+        const B = apexes[k+1].pos;
+        for (let i = Math.max(apexes[k].portal, 1); i < apexes[k+1].portal; i++) {
+            const portal = portals[i];
+            let t = 0;
+            if (i == apexes[k].portal) {
+                t = portal.left === apexes[k].vertex ? 0 : 1;
+            }
+            else {
+                // Intersect AB with the line through the portal
+                const L = portal.leftPos;
+                const R = portal.rightPos;
+                const denom = cross([0, 0], [B[0]-A[0], B[1]-A[1]], [R[0]-L[0], R[1]-L[1]]);
+                if (denom != 0) {
+                    t = -cross(A, B, L)/denom;
+                }
+                t = Math.max(0, Math.min(1, t));
+            }
+            crossings.push(vec3.lerp(vec3.create(), portal.left.pos, portal.right.pos, t));
+        }
+    }
+    return {'crossings':crossings, 'bends':apexes.slice(1, apexes.length-1)};
+}
+
+/**
+ * Find a geodesic path between two vertices that crosses the interiors of
+ * faces, by starting from the shortest edge path and straightening it.
+ * In each iteration, the path is pulled tight through a corridor of
+ * triangles, and where it wraps around a vertex, the corridor is moved
+ * to the other side of that vertex if the angle there is less than pi
+ *
+ * @param {HedgeMesh} mesh A triangle mesh
+ * @param {int} source Index of the vertex to start at
+ * @param {int} target Index of the vertex to end at
+ * @param {int} maxIters The maximum number of times to move the corridor
+ *                       (1000 by default)
+ *
+ * @returns {object} {'vertices': A list of the indices of the source, the
+ *                                vertices the path bends around, and the target,
+ *                    'points': A list of glMatrix.vec3 points along the path,
+ *                    'length': The length of the path},
+ *                   or null if the target can't be reached
+ */
+function getStraightenedPath(mesh, source, target, maxIters) {
+    if (maxIters === undefined) {
+        maxIters = 1000;
+    }
+    for (const f of mesh.faces) {
+        if (f.getEdges().length != 3) {
+            throw "Error (getStraightenedPath): Mesh must be a triangle mesh";
+        }
+    }
+    const edgePath = getShortestEdgePath(mesh, source, target);
+    if (edgePath === null || edgePath.vertices.length < 2) {
+        return edgePath;
+    }
+    let corridor = getPathCorridor(mesh, edgePath.vertices);
+    if (corridor === null) {
+        return edgePath;
+    }
+    const src = mesh.vertices[source];
+    const tgt = mesh.vertices[target];
+    function hasVertex(f, v) {
+        return f.getVertices().indexOf(v) > -1;
+    }
+    function getAngle(b, p, q) {
+        const u = getVectorBetweenPoints(p, b.pos);
+        const w = getVectorBetweenPoints(q, b.pos);
+        const cos = vec3.dot(u, w)/(vec3.length(u)*vec3.length(w));
+        return Math.acos(Math.max(-1, Math.min(1, cos)));
+    }
+    function getCornerAngle(f, b) {
+        const others = f.getVertices().filter(function(v) {
+            return v !== b;
+        });
+        return getAngle(b, others[0].pos, others[1].pos);
+    }
+    function getSharedVertex(f, g, b) {
+        // The vertex other than b on the edge between f and g
+        const h = f.getEdges().find(function(e) {
+            return e.pair.face === g;
+        });
+        return h.head === b ? h.pair.head : h.head;
+    }
+
+    let res = getFunnelPath(corridor, src, tgt);
+    for (let iter = 0; iter < maxIters; iter++) {
+        let moved = false;
+        for (const bend of res.bends) {
+            const b = bend.vertex;
+            // The path can't be shortened by going around the other side
+            // of a boundary vertex, or of its own ends
+            if (b.isBoundary() || b === src || b === tgt) {
+                continue;
+            }
+            // Find the run of faces in the corridor that the path wraps around b
+            let a = bend.portal - 1;
+            let c = bend.portal;
+            while (a > 0 && hasVertex(corridor[a-1], b)) {
+                a--;
+            }
+            while (c < corridor.length-1 && hasVertex(corridor[c+1], b)) {
+                c++;
+            }
+            // Compare the angle the path makes at b inside the corridor
+            // to the angle on the other side.  If the run reaches an end
+            // of the corridor, the path goes straight along an edge from
+            // the source or to the target
+            const pIn = a == 0 ? src.pos : res.crossings[a-1];
+            const pOut = c == corridor.length-1 ? tgt.pos : res.crossings[c];
+            let inside = getAngle(b, pIn, getSharedVertex(corridor[a], corridor[a+1], b).pos);
+            inside += getAngle(b, getSharedVertex(corridor[c-1], corridor[c], b).pos, pOut);
+            for (let i = a+1; i < c; i++) {
+                inside += getCornerAngle(corridor[i], b);
+            }
+            let total = 0;
+            for (const h of b.getOutgoingEdges()) {
+                total += getCornerAngle(h.face, b);
+            }
+            if (total - inside >= Math.min(inside, Math.PI) - 1e-9) {
+                continue;
+            }
+            // Walk around b the other way from corridor[a] to corridor[c]
+            const toNext = corridor[a].getEdges().find(function(e) {
+                return e.pair.face === corridor[a+1] && (e.head === b || e.pair.head === b);
+            });
+            let e = corridor[a].getEdges().find(function(e) {
+                return e !== toNext && (e.head === b || e.pair.head === b);
+            });
+            let fan = [];
+            let g = e.pair.face;
+            for (let step = 0; g !== null && g !== corridor[c] && step < mesh.edges.length; step++) {
+                fan.push(g);
+                e = e.pair.head === b ? e.pair.next : e.pair.prev;
+                g = e.pair.face;
+            }
+            if (g !== corridor[c]) {
+                continue;
+            }
+            corridor = corridor.slice(0, a+1).concat(fan).concat(corridor.slice(c));
+            moved = true;
+            break;
+        }
+        if (!moved) {
+            break;
+        }
+        res = getFunnelPath(corridor, src, tgt);
+    }
+
+    let points = [vec3.clone(src.pos)];
+    for (const p of res.crossings.concat([tgt.pos])) {
+        if (vec3.distance(p, points[points.length-1]) > 0) {
+            points.push(vec3.clone(p));
+        }
+    }
+    let length = 0;
+    for (let i = 0; i < points.length-1; i++) {
+        length += vec3.distance(points[i], points[i+1]);
+    }
+    if (length > edgePath.length) {
+        // Straightening should only ever shorten the path
+        return edgePath;
+    }
+    // The path can bend at the same vertex on several portals in a row
+    let vertices = [source];
+    for (const bend of res.bends.concat([{'vertex':tgt}])) {
+        if (bend.vertex.ID != vertices[vertices.length-1]) {
+            vertices.push(bend.vertex.ID);
+        }
+    }
+    return {'vertices':vertices, 'points':points, 'length':length};
+}
+
+/**
+ * Write a path as JSON
+ *
+ * @param {object} path A path from getShortestEdgePath or getStraightenedPath
+ *
+ * @returns {string} A JSON object with the vertex indices, the length, and
+ *                   the points of the path as a list of [x, y, z] lists
+ */
+function getPathJSON(path) {
+    return JSON.stringify({
+        'vertices':path.vertices,
+        'length':path.length,
+        'points':path.points.map(function(p) {
+            return [p[0], p[1], p[2]];
+        })
+    });
+}
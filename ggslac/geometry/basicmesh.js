@@ -155,11 +155,7 @@ class MeshFace {
      * @returns {number} Area
      */
     getArea() {
-        let verts = this.getVertices();
-        for (var i = 0; i < verts.length; i++) {
-            verts[i] = verts[i].pos;
-        }
-        return GeomUtils.getPolygonArea(verts);
+        return glMatrix.vec3.length(GeomUtils.getNewellNormal(this.getVerticesPos()))/2;
     }
 
     /**
@@ -168,9 +164,41 @@ class MeshFace {
      * @returns {glMatrix.vec3} Normal, or null if the points are all collinear
      */
     getNormal() {
-        return GeomUtils.getFaceNormal(this.getVerticesPos());
+        let n = GeomUtils.getNewellNormal(this.getVerticesPos());
+        if (glMatrix.vec3.sqrLen(n) == 0) {
+            return null;
+        }
+        return glMatrix.vec3.normalize(n, n);
     }
     
+    /**
+     * Triangulate this face by ear clipping.  The result is cached,
+     * and it is only recomputed once the vertices of the face 
+     * change or move
+     * 
+     * @returns {list} A list of [i, j, k] triples indexing into
+     *                 the list returned by getVertices()
+     */
+    getTriangles() {
+        const verts = this.getVertices();
+        let cache = this.triangleCache;
+        let valid = cache !== undefined && cache.verts.length == verts.length;
+        for (let i = 0; valid && i < verts.length; i++) {
+            const p = verts[i].pos;
+            valid = cache.verts[i] === verts[i] && cache.pos[i*3] == p[0] &&
+                    cache.pos[i*3+1] == p[1] && cache.pos[i*3+2] == p[2];
+        }
+        if (!valid) {
+            let pos = new Float64Array(verts.length*3);
+            for (let i = 0; i < verts.length; i++) {
+                pos.set(verts[i].pos, i*3);
+            }
+            cache = {'verts':verts, 'pos':pos, 'tris':GeomUtils.triangulatePolygon(this.getVerticesPos())};
+            this.triangleCache = cache;
+        }
+        return cache.tris;
+    }
+
     /**
      * Compute a plane spanned by this face
      * 
@@ -427,12 +455,6 @@ class BasicMesh extends PolyMesh {
             }
             throw "Error (BasicMesh.addFace): Trying to add mesh face that is not planar\n"
         }
-        if (!are2DConvex(vertsPos)) {
-            for (let i = 0; i < vertsPos.length; i++) {
-                console.log(glMatrix.vecStr(vertsPos[i]) + ", ");
-            }
-            throw "Error (BasicMesh.addFace): Trying to add mesh face that is not convex\n"
-        }
         let face = new MeshFace(this.faces.length);
         face.startV = meshVerts[0];
         for (let i = 0; i < meshVerts.length; i++) {
@@ -511,22 +533,22 @@ class BasicMesh extends PolyMesh {
      */
     getTriangleIndices() {
         let NumTris = 0;
+        let allTris = Array(this.faces.length);
         for (let i = 0; i < this.faces.length; i++) {
-            NumTris += this.faces[i].edges.length - 2;
+            allTris[i] = this.faces[i].getTriangles();
+            NumTris += allTris[i].length;
         }
         let I = new Uint32Array(NumTris*3);
         let i = 0;
-        let faceIdx = 0;
         //Now copy over the triangle indices
-        while (i < NumTris) {
+        for (let faceIdx = 0; faceIdx < this.faces.length; faceIdx++) {
             let verts = this.faces[faceIdx].getVertices();
-            for (let t = 0; t < verts.length - 2; t++) {
-                I[i*3] = verts[0].ID;
-                I[i*3+1] = verts[t+1].ID;
-                I[i*3+2] = verts[t+2].ID;
+            for (const tri of allTris[faceIdx]) {
+                I[i*3] = verts[tri[0]].ID;
+                I[i*3+1] = verts[tri[1]].ID;
+                I[i*3+2] = verts[tri[2]].ID;
                 i++;
             }
-            faceIdx++;
         }
         return I;
     }
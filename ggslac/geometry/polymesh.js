@@ -185,6 +185,7 @@ class PolyMesh {
         this.indexBuffer = null;
         this.edgeIndexBuffer = null;
         this.colorBuffer = null;
+        this.texCoordBuffer = null;
         this.bbox = new AABox3D(0, 0, 0, 0, 0, 0);
     }
 
@@ -321,6 +322,9 @@ class PolyMesh {
         if (this.colorBuffer === null) {
             this.colorBuffer = gl.createBuffer();
         }
+        if (this.texCoordBuffer === null) {
+            this.texCoordBuffer = gl.createBuffer();
+        }
         // Update vertex IDs
         for (let i = 0; i < this.vertices.length; i++) {
             this.vertices[i].ID = i;
@@ -389,6 +393,19 @@ class PolyMesh {
         gl.bufferData(gl.ARRAY_BUFFER, C, gl.STATIC_DRAW);
         this.colorBuffer.itemSize = 3;
         this.colorBuffer.numItems = this.vertices.length;
+
+        //Texture coordinate buffer
+        let T = new Float32Array(this.vertices.length*2);
+        for (let i = 0; i < this.vertices.length; i++) {
+            if (!(this.vertices[i].texCoords === undefined)) {
+                T[i*2] = this.vertices[i].texCoords[0];
+                T[i*2+1] = this.vertices[i].texCoords[1];
+            }
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.texCoordBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, T, gl.STATIC_DRAW);
+        this.texCoordBuffer.itemSize = 2;
+        this.texCoordBuffer.numItems = this.vertices.length;
         
         //Index Buffer
         //First figure out how many triangles need to be used
@@ -433,6 +450,20 @@ class PolyMesh {
             gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
             gl.vertexAttribPointer(sProg.vColorAttrib, this.colorBuffer.itemSize, gl.FLOAT, false, 0, 0);
         }
+        // Texture coordinates.  Unlike the other attributes, this one is
+        // only enabled while a shader that uses it is drawing (see render())
+        if ('vTexCoordAttrib' in sProg) {
+            gl.enableVertexAttribArray(sProg.vTexCoordAttrib);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.texCoordBuffer);
+            gl.vertexAttribPointer(sProg.vTexCoordAttrib, this.texCoordBuffer.itemSize, gl.FLOAT, false, 0, 0);
+        }
+        if ('uNumChecksUniform' in sProg) {
+            let numChecks = 10;
+            if ('numChecks' in canvas) {
+                numChecks = canvas.numChecks;
+            }
+            gl.uniform1f(sProg.uNumChecksUniform, numChecks);
+        }
 
         // Material properties
         if ('uKaUniform' in sProg) {
@@ -671,6 +702,9 @@ class PolyMesh {
             gl.getExtension('OES_element_index_uint');
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
             gl.drawElements(gl.TRIANGLES, this.indexBuffer.numItems, gl.UNSIGNED_INT, 0);
+            if ('vTexCoordAttrib' in sProg) {
+                gl.disableVertexAttribArray(sProg.vTexCoordAttrib);
+            }
             
             //Step 4: Draw lines and points for vertices, edges, and normals if requested
             if (canvas.drawNormals) {
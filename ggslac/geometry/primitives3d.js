@@ -180,6 +180,152 @@ function getPolygonArea(verts) {
 }
 GeomUtils.getPolygonArea = getPolygonArea;
 
+/**
+ * Compute the normal of the plane that best fits a polygon using
+ * Newell's method, which also behaves for non-planar and concave
+ * polygons.  Its length is twice the area of the projected polygon
+ * 
+ * @param {list of glMatrix.vec3} verts Vertices of the polygon, in order
+ * 
+ * @returns {glMatrix.vec3} The (unnormalized) normal
+ */
+function getNewellNormal(verts) {
+    let n = glMatrix.vec3.create();
+    const N = verts.length;
+    for (let i = 0; i < N; i++) {
+        const a = verts[i];
+        const b = verts[(i+1)%N];
+        n[0] += (a[1] - b[1])*(a[2] + b[2]);
+        n[1] += (a[2] - b[2])*(a[0] + b[0]);
+        n[2] += (a[0] - b[0])*(a[1] + b[1]);
+    }
+    return n;
+}
+GeomUtils.getNewellNormal = getNewellNormal;
+
+/**
+ * Triangulate a polygon by ear clipping after projecting it onto
+ * the plane that best fits it.  Concave polygons are handled properly.
+ * If no ear can be found, which happens when a non-planar or 
+ * degenerate polygon folds over itself in the projection, the most
+ * convex corner is clipped instead, so there are always N-2 triangles
+ * 
+ * @param {list of glMatrix.vec3} verts Vertices of the polygon, in order
+ * 
+ * @returns {list} A list of [i, j, k] index triples into verts, oriented
+ *                 the same way as the polygon.  Each triangle cuts off 
+ *                 the middle vertex j from what is left of the polygon,
+ *                 and the last triangle is what remains at the end
+ */
+function triangulatePolygon(verts) {
+    const N = verts.length;
+    if (N < 3) {
+        return [];
+    }
+    if (N == 3) {
+        return [[0, 1, 2]];
+    }
+    // Step 1: Project onto a basis (u, v) of the best fit plane, chosen
+    // so that u x v points along the normal and the polygon winds CCW
+    let n = getNewellNormal(verts);
+    let u = glMatrix.vec3.create();
+    let v = glMatrix.vec3.create();
+    if (glMatrix.vec3.sqrLen(n) == 0) {
+        // Totally degenerate; fall back to a fan
+        let tris = [];
+        for (let i = 1; i < N-1; i++) {
+            tris.push([0, i, i+1]);
+        }
+        return tris;
+    }
+    glMatrix.vec3.normalize(n, n);
+    let axis = 0;
+    for (let k = 1; k < 3; k++) {
+        if (Math.abs(n[k]) < Math.abs(n[axis])) {
+            axis = k;
+        }
+    }
+    u[axis] = 1;
+    glMatrix.vec3.cross(v, n, u);
+    glMatrix.vec3.normalize(v, v);
+    glMatrix.vec3.cross(u, v, n);
+    let x = new Float64Array(N);
+    let y = new Float64Array(N);
+    let scale = 0;
+    for (let i = 0; i < N; i++) {
+        const d = glMatrix.vec3.create();
+        glMatrix.vec3.subtract(d, verts[i], verts[0]);
+        x[i] = glMatrix.vec3.dot(d, u);
+        y[i] = glMatrix.vec3.dot(d, v);
+        scale = Math.max(scale, Math.abs(x[i]), Math.abs(y[i]));
+    }
+    const eps = 1e-12*scale*scale;
+    function cross(a, b, c) {
+        return (x[b]-x[a])*(y[c]-y[a]) - (y[b]-y[a])*(x[c]-x[a]);
+    }
+
+    // Step 2: Clip ears off of a circular list of the remaining vertices
+    let prev = new Int32Array(N);
+    let next = new Int32Array(N);
+    for (let i = 0; i < N; i++) {
+        prev[i] = (i+N-1)%N;
+        next[i] = (i+1)%N;
+    }
+    function isEar(b) {
+        const a = prev[b];
+        const c = next[b];
+        if (cross(a, b, c) <= eps) {
+            return false;
+        }
+        // No other remaining vertex can be inside or on the triangle,
+        // unless it is a copy of one of its corners
+        for (let p = next[c]; p != a; p = next[p]) {
+            if ((x[p] == x[a] && y[p] == y[a]) || (x[p] == x[b] && y[p] == y[b]) ||
+                (x[p] == x[c] && y[p] == y[c])) {
+                continue;
+            }
+            if (cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+    let tris = [];
+    let remaining = N;
+    let b = 0;
+    while (remaining > 3) {
+        let ear = -1;
+        let p = b;
+        for (let k = 0; k < remaining; k++) {
+            if (isEar(p)) {
+                ear = p;
+                break;
+            }
+            p = next[p];
+        }
+        if (ear == -1) {
+            ear = p;
+            let best = -Infinity;
+            for (let k = 0; k < remaining; k++) {
+                const c = cross(prev[p], p, next[p]);
+                if (c > best) {
+                    best = c;
+                    ear = p;
+                }
+                p = next[p];
+            }
+        }
+        tris.push([prev[ear], ear, next[ear]]);
+        next[prev[ear]] = next[ear];
+        prev[next[ear]] = prev[ear];
+        b = next[ear];
+        remaining--;
+    }
+    tris.push([prev[b], b, next[b]]);
+    return tris;
+}
+GeomUtils.triangulatePolygon = triangulatePolygon;
+
 
 /**
  * Convert Euler angles from a M = R(y)R(z)R(x) rotation order
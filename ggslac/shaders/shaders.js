@@ -188,6 +188,46 @@ function initStandardShaders(gl, relpath) {
         shaders.blinnPhong = shader;
     });
 
+    /** checkerboard: Blinn Phong shader with a checkerboard in texture coordinates */
+    shaders.checkerboard = new Promise((resolve, reject) => {
+        getShaderProgramAsync(gl, relpath + "checkerboard").then((shader) => {
+            shader.description = 'Blinn-Phong shader with a checkerboard in texture coordinates';
+            shader.vPosAttrib = gl.getAttribLocation(shader, "vPos");
+            gl.enableVertexAttribArray(shader.vPosAttrib);
+            shader.vNormalAttrib = gl.getAttribLocation(shader, "vNormal");
+            gl.enableVertexAttribArray(shader.vNormalAttrib);
+            shader.vColorAttrib = gl.getAttribLocation(shader, "vColor");
+            gl.enableVertexAttribArray(shader.vColorAttrib);
+            // This is enabled only while drawing (see PolyMesh.sendBuffersToGPU)
+            shader.vTexCoordAttrib = gl.getAttribLocation(shader, "vTexCoord");
+            shader.pMatrixUniform = gl.getUniformLocation(shader, "uPMatrix");
+            shader.mvMatrixUniform = gl.getUniformLocation(shader, "uMVMatrix");
+            shader.tMatrixUniform = gl.getUniformLocation(shader, "tMatrix");
+            shader.nMatrixUniform = gl.getUniformLocation(shader, "uNMatrix");
+            shader.ambientColorUniform = gl.getUniformLocation(shader, "uAmbientColor");
+            shader.uKaUniform = gl.getUniformLocation(shader, "uKa");
+            shader.uKdUniform = gl.getUniformLocation(shader, "uKd");
+            shader.uKsUniform = gl.getUniformLocation(shader, "uKs");
+            shader.uShininessUniform = gl.getUniformLocation(shader, "uShininess");
+            shader.uNumChecksUniform = gl.getUniformLocation(shader, "uNumChecks");
+            shader.uEyeUniform = gl.getUniformLocation(shader, "uEye");
+            shader.u_lights = [];
+            shader.u_numLights = gl.getUniformLocation(shader, "numLights");
+            for (let i = 0; i < MAX_LIGHTS; i++) {
+                let light = {
+                    pos: gl.getUniformLocation(shader, "lights["+i+"].pos"),
+                    color: gl.getUniformLocation(shader, "lights["+i+"].color"),
+                    atten: gl.getUniformLocation(shader, "lights["+i+"].atten")
+                };
+                shader.u_lights.push(light);
+            }
+            resolve(shader);
+        });
+    }).then(shader => {
+        shader.shaderReady = true;
+        shaders.checkerboard = shader;
+    });
+
     /** depth: A shader that shades by depth */
     shaders.depth = new Promise((resolve, reject) => {
         getShaderProgramAsync(gl, relpath + "depth").then((shader) => {
@@ -0,0 +1,988 @@
+/**
+ * Sparse matrices and solvers for operators on meshes, such as
+ * Laplacians and mass matrices.  Nothing in here depends on WebGL
+ * or on glMatrix, so it can also be used headlessly
+ */
+
+/**
+ * A sparse matrix in coordinate (triplet) format, which is easy to
+ * build up one entry at a time before converting it to CSR format
+ */
+class COOMatrix {
+    /**
+     * @param {int} numRows Number of rows
+     * @param {int} numCols Number of columns (numRows by default)
+     */
+    constructor(numRows, numCols) {
+        if (numCols === undefined) {
+            numCols = numRows;
+        }
+        this.numRows = numRows;
+        this.numCols = numCols;
+        this.rows = [];
+        this.cols = [];
+        this.vals = [];
+    }
+
+    /**
+     * Add a value to an entry.  Entries that are added more than
+     * once are summed together when converting to CSR
+     *
+     * @param {int} i Row index
+     * @param {int} j Column index
+     * @param {float} val Value to add
+     */
+    add(i, j, val) {
+        if (i < 0 || i >= this.numRows || j < 0 || j >= this.numCols) {
+            throw "Error (COOMatrix.add): Index (" + i + ", " + j + ") out of bounds";
+        }
+        this.rows.push(i);
+        this.cols.push(j);
+        this.vals.push(val);
+    }
+
+    /**
+     * Convert this matrix to CSR format, summing duplicate entries
+     *
+     * @returns {CSRMatrix} The matrix in CSR format
+     */
+    toCSR() {
+        const nnz = this.vals.length;
+        // Step 1: Bucket the entries by row
+        let rowPtr = new Int32Array(this.numRows+1);
+        for (let k = 0; k < nnz; k++) {
+            rowPtr[this.rows[k]+1]++;
+        }
+        for (let i = 0; i < this.numRows; i++) {
+            rowPtr[i+1] += rowPtr[i];
+        }
+        let next = rowPtr.slice(0, this.numRows);
+        let order = new Int32Array(nnz);
+        for (let k = 0; k < nnz; k++) {
+            order[next[this.rows[k]]++] = k;
+        }
+        // Step 2: Sort each row by column, and sum up duplicates
+        let outPtr = new Int32Array(this.numRows+1);
+        let colIdx = [];
+        let vals = [];
+        for (let i = 0; i < this.numRows; i++) {
+            let entries = Array.from(order.subarray(rowPtr[i], rowPtr[i+1]));
+            const cols = this.cols;
+            entries.sort(function(a, b) {
+                return cols[a] - cols[b];
+            });
+            for (const k of entries) {
+                if (colIdx.length > outPtr[i] && colIdx[colIdx.length-1] == cols[k]) {
+                    vals[vals.length-1] += this.vals[k];
+                }
+                else {
+                    colIdx.push(cols[k]);
+                    vals.push(this.vals[k]);
+                }
+            }
+            outPtr[i+1] = colIdx.length;
+        }
+        return new CSRMatrix(this.numRows, this.numCols, outPtr,
+                             Int32Array.from(colIdx), Float64Array.from(vals));
+    }
+}
+
+/**
+ * A sparse matrix in compressed sparse row format, with the columns
+ * of each row in increasing order and no duplicate entries
+ */
+class CSRMatrix {
+    /**
+     * @param {int} numRows Number of rows
+     * @param {int} numCols Number of columns
+     * @param {Int32Array} rowPtr The entries of row i are at rowPtr[i] up to rowPtr[i+1]
+     * @param {Int32Array} colIdx Column index of each entry
+     * @param {Float64Array} vals Value of each entry
+     */
+    constructor(numRows, numCols, rowPtr, colIdx, vals) {
+        this.numRows = numRows;
+        this.numCols = numCols;
+        this.rowPtr = rowPtr;
+        this.colIdx = colIdx;
+        this.vals = vals;
+    }
+
+    /**
+     * Make a matrix from a list of rows
+     *
+     * @param {list} rows The rows, each of which is {'cols':list of
+     *                    column indices, 'vals':list of values}
+     * @param {int} numCols Number of columns (rows.length by default)
+     *
+     * @returns {CSRMatrix} The matrix
+     */
+    static fromRows(rows, numCols) {
+        if (numCols === undefined) {
+            numCols = rows.length;
+        }
+        let coo = new COOMatrix(rows.length, numCols);
+        for (let i = 0; i < rows.length; i++) {
+            for (let k = 0; k < rows[i].cols.length; k++) {
+                coo.add(i, rows[i].cols[k], rows[i].vals[k]);
+            }
+        }
+        return coo.toCSR();
+    }
+
+    /**
+     * Make a diagonal matrix
+     *
+     * @param {list} diag The entries on the diagonal
+     *
+     * @returns {CSRMatrix} The matrix
+     */
+    static diagonal(diag) {
+        const N = diag.length;
+        let rowPtr = new Int32Array(N+1);
+        let colIdx = new Int32Array(N);
+        for (let i = 0; i < N; i++) {
+            rowPtr[i+1] = i+1;
+            colIdx[i] = i;
+        }
+        return new CSRMatrix(N, N, rowPtr, colIdx, Float64Array.from(diag));
+    }
+
+    /**
+     * @returns {int} The number of stored entries
+     */
+    getNNZ() {
+        return this.rowPtr[this.numRows];
+    }
+
+    /**
+     * Look up an entry
+     *
+     * @param {int} i Row index
+     * @param {int} j Column index
+     *
+     * @returns {float} The entry, which is 0 if it isn't stored
+     */
+    get(i, j) {
+        // Binary search for the column
+        let lo = this.rowPtr[i];
+        let hi = this.rowPtr[i+1];
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.colIdx[mid] < j) {
+                lo = mid + 1;
+            }
+            else {
+                hi = mid;
+            }
+        }
+        if (lo < this.rowPtr[i+1] && this.colIdx[lo] == j) {
+            return this.vals[lo];
+        }
+        return 0;
+    }
+
+    /**
+     * @returns {Float64Array} The entries on the diagonal
+     */
+    getDiagonal() {
+        let diag = new Float64Array(Math.min(this.numRows, this.numCols));
+        for (let i = 0; i < diag.length; i++) {
+            diag[i] = this.get(i, i);
+        }
+        return diag;
+    }
+
+    /**
+     * Compute y = Ax
+     *
+     * @param {list} x A list of numCols floats
+     * @param {Float64Array} y Where to put the result.  If undefined,
+     *                         a new array is made
+     *
+     * @returns {Float64Array} y
+     */
+    multiply(x, y) {
+        if (y === undefined) {
+            y = new Float64Array(this.numRows);
+        }
+        for (let i = 0; i < this.numRows; i++) {
+            let sum = 0;
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i+1]; k++) {
+                sum += this.vals[k]*x[this.colIdx[k]];
+            }
+            y[i] = sum;
+        }
+        return y;
+    }
+
+    /**
+     * @returns {CSRMatrix} The transpose of this matrix
+     */
+    transpose() {
+        const nnz = this.getNNZ();
+        let rowPtr = new Int32Array(this.numCols+1);
+        for (let k = 0; k < nnz; k++) {
+            rowPtr[this.colIdx[k]+1]++;
+        }
+        for (let j = 0; j < this.numCols; j++) {
+            rowPtr[j+1] += rowPtr[j];
+        }
+        let next = rowPtr.slice(0, this.numCols);
+        let colIdx = new Int32Array(nnz);
+        let vals = new Float64Array(nnz);
+        // Going through the rows in order keeps the new rows sorted
+        for (let i = 0; i < this.numRows; i++) {
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i+1]; k++) {
+                const p = next[this.colIdx[k]]++;
+                colIdx[p] = i;
+                vals[p] = this.vals[k];
+            }
+        }
+        return new CSRMatrix(this.numCols, this.numRows, rowPtr, colIdx, vals);
+    }
+
+    /**
+     * Compute a linear combination aA + bB of this matrix A with another
+     *
+     * @param {CSRMatrix} B A matrix of the same size
+     * @param {float} a Factor for this matrix
+     * @param {float} b Factor for B
+     *
+     * @returns {CSRMatrix} aA + bB
+     */
+    combine(B, a, b) {
+        if (B.numRows != this.numRows || B.numCols != this.numCols) {
+            throw "Error (CSRMatrix.combine): Matrices must be the same size";
+        }
+        let rowPtr = new Int32Array(this.numRows+1);
+        let colIdx = [];
+        let vals = [];
+        for (let i = 0; i < this.numRows; i++) {
+            // Merge the two sorted rows
+            let p = this.rowPtr[i];
+            let q = B.rowPtr[i];
+            while (p < this.rowPtr[i+1] || q < B.rowPtr[i+1]) {
+                const j1 = p < this.rowPtr[i+1] ? this.colIdx[p] : this.numCols;
+                const j2 = q < B.rowPtr[i+1] ? B.colIdx[q] : this.numCols;
+                let val = 0;
+                if (j1 <= j2) {
+                    val += a*this.vals[p++];
+                }
+                if (j2 <= j1) {
+                    val += b*B.vals[q++];
+                }
+                colIdx.push(Math.min(j1, j2));
+                vals.push(val);
+            }
+            rowPtr[i+1] = colIdx.length;
+        }
+        return new CSRMatrix(this.numRows, this.numCols, rowPtr,
+                             Int32Array.from(colIdx), Float64Array.from(vals));
+    }
+
+    /**
+     * Check whether this matrix is symmetric
+     *
+     * @param {float} tol Largest allowed difference between A_ij and A_ji
+     *
+     * @returns {boolean} True if it is symmetric
+     */
+    isSymmetric(tol) {
+        if (tol === undefined) {
+            tol = 0;
+        }
+        if (this.numRows != this.numCols) {
+            return false;
+        }
+        for (let i = 0; i < this.numRows; i++) {
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i+1]; k++) {
+                if (Math.abs(this.vals[k] - this.get(this.colIdx[k], i)) > tol) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @returns {list} The matrix as a list of rows, each of which is
+     *                 a list of numCols floats
+     */
+    toDense() {
+        let A = [];
+        for (let i = 0; i < this.numRows; i++) {
+            let row = new Array(this.numCols).fill(0);
+            for (let k = this.rowPtr[i]; k < this.rowPtr[i+1]; k++) {
+                row[this.colIdx[k]] = this.vals[k];
+            }
+            A.push(row);
+        }
+        return A;
+    }
+}
+
+
+/////////////////////////////////////////////
+///////////   MESH OPERATORS   //////////////
+/////////////////////////////////////////////
+
+/**
+ * Assemble the Laplacian of a mesh, with positive weights on the
+ * diagonal and negative weights to the neighbors, so that it's
+ * symmetric positive semidefinite
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {string} weighting 'uniform' (default) or 'cotangent'
+ *                           (see HVertex.getLaplacianWeights)
+ *
+ * @returns {CSRMatrix} The Laplacian
+ */
+function getLaplacianMatrix(mesh, weighting) {
+    if (weighting === undefined) {
+        weighting = 'uniform';
+    }
+    if (weighting != 'uniform' && weighting != 'cotangent') {
+        throw "Error (getLaplacianMatrix): Weighting " + weighting + " does not give a symmetric matrix";
+    }
+    const N = mesh.vertices.length;
+    let L = new COOMatrix(N, N);
+    for (const v of mesh.vertices) {
+        L.add(v.ID, v.ID, 0);
+        if (v.h === null) {
+            continue;
+        }
+        const lap = v.getLaplacianWeights(weighting);
+        for (let k = 0; k < lap.neighbors.length; k++) {
+            L.add(v.ID, v.ID, lap.weights[k]);
+            L.add(v.ID, lap.neighbors[k].ID, -lap.weights[k]);
+        }
+    }
+    return L.toCSR();
+}
+
+/**
+ * Assemble the mass matrix of a mesh, which integrates functions
+ * that are linear over each face
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {string} type 'lumped' (default): A diagonal matrix with the
+ *                                          barycentric area of each vertex
+ *                      'full': The exact integrals of products of hat
+ *                              functions, area/6 for each vertex and area/12
+ *                              for each edge of every triangle.  This needs
+ *                              a triangle mesh
+ *
+ * @returns {CSRMatrix} The mass matrix
+ */
+function getMassMatrix(mesh, type) {
+    if (type === undefined) {
+        type = 'lumped';
+    }
+    const N = mesh.vertices.length;
+    if (type == 'lumped') {
+        let diag = new Float64Array(N);
+        for (const v of mesh.vertices) {
+            diag[v.ID] = v.h === null ? 0 : v.getBarycentricArea();
+        }
+        return CSRMatrix.diagonal(diag);
+    }
+    let M = new COOMatrix(N, N);
+    for (const v of mesh.vertices) {
+        M.add(v.ID, v.ID, 0);
+    }
+    for (const f of mesh.faces) {
+        const vs = f.getVertices();
+        if (vs.length != 3) {
+            throw "Error (getMassMatrix): Mesh must be a triangle mesh for a full mass matrix";
+        }
+        const area = f.getArea();
+        for (let a = 0; a < 3; a++) {
+            for (let b = 0; b < 3; b++) {
+                M.add(vs[a].ID, vs[b].ID, a == b ? area/6 : area/12);
+            }
+        }
+    }
+    return M.toCSR();
+}
+
+
+/////////////////////////////////////////////
+///////////   LINEAR SOLVERS   //////////////
+/////////////////////////////////////////////
+
+/**
+ * Compute an incomplete Cholesky factorization A ~ LL^T with no fill,
+ * so that L has the same pattern as the lower triangle of A.  If the
+ * factorization breaks down, it is tried again on A with its diagonal
+ * scaled up a little bit more each time
+ *
+ * @param {CSRMatrix} A A symmetric positive (semi)definite matrix
+ *
+ * @returns {CSRMatrix} L, with the diagonal last in every row
+ */
+function getIncompleteCholesky(A) {
+    const N = A.numRows;
+    let rowPtr = new Int32Array(N+1);
+    for (let i = 0; i < N; i++) {
+        rowPtr[i+1] = rowPtr[i];
+        for (let k = A.rowPtr[i]; k < A.rowPtr[i+1] && A.colIdx[k] <= i; k++) {
+            rowPtr[i+1]++;
+        }
+    }
+    const nnz = rowPtr[N];
+    let colIdx = new Int32Array(nnz);
+    let Avals = new Float64Array(nnz);
+    for (let i = 0; i < N; i++) {
+        const start = A.rowPtr[i];
+        for (let k = 0; k < rowPtr[i+1]-rowPtr[i]; k++) {
+            colIdx[rowPtr[i]+k] = A.colIdx[start+k];
+            Avals[rowPtr[i]+k] = A.vals[start+k];
+        }
+    }
+    let vals = new Float64Array(nnz);
+    let work = new Float64Array(N);
+    let shift = 0;
+    for (let attempt = 0; attempt < 30; attempt++) {
+        let ok = true;
+        for (let i = 0; i < N && ok; i++) {
+            const end = rowPtr[i+1];
+            for (let p = rowPtr[i]; p < end; p++) {
+                const j = colIdx[p];
+                // Subtract off L(i, k)L(j, k) for k < j, where
+                // L(i, k) has already been scattered into work
+                let sum = Avals[p];
+                if (j == i) {
+                    sum *= 1 + shift;
+                }
+                for (let q = rowPtr[j]; q < rowPtr[j+1] && colIdx[q] < j; q++) {
+                    sum -= vals[q]*work[colIdx[q]];
+                }
+                if (j < i) {
+                    // The diagonal of row j is its last entry
+                    vals[p] = sum/vals[rowPtr[j+1]-1];
+                    work[j] = vals[p];
+                }
+                else if (sum > 0) {
+                    vals[p] = Math.sqrt(sum);
+                }
+                else if (sum == 0 && Avals[p] == 0) {
+                    // An empty row and column, which doesn't need to be solved for
+                    vals[p] = 1;
+                }
+                else {
+                    ok = false;
+                }
+            }
+            for (let p = rowPtr[i]; p < end; p++) {
+                work[colIdx[p]] = 0;
+            }
+            if (colIdx[end-1] != i) {
+                throw "Error (getIncompleteCholesky): Row " + i + " has no diagonal entry";
+            }
+        }
+        if (ok) {
+            return new CSRMatrix(N, N, rowPtr, colIdx, vals);
+        }
+        shift = shift == 0 ? 1e-3 : 2*shift;
+    }
+    throw "Error (getIncompleteCholesky): Matrix is not positive definite";
+}
+
+/**
+ * Solve a sparse symmetric positive (semi)definite system Ax = b
+ * with the preconditioned conjugate gradient method
+ *
+ * @param {CSRMatrix} A The matrix
+ * @param {list} b A list of N floats
+ * @param {float} tol Stop when the residual norm is below tol*|b|
+ * @param {int} maxIters The maximum number of iterations
+ * @param {string} preconditioner 'jacobi' (default): Divide by the diagonal
+ *                                'ichol': Incomplete Cholesky, which takes
+ *                                         far fewer iterations on Laplacians
+ *                                'none': No preconditioning
+ * @param {list} x0 An initial guess (zero by default)
+ *
+ * @returns {Float64Array} The solution x
+ */
+function solveConjugateGradient(A, b, tol, maxIters, preconditioner, x0) {
+    const N = b.length;
+    if (preconditioner === undefined) {
+        preconditioner = 'jacobi';
+    }
+    function dot(x, y) {
+        let sum = 0;
+        for (let i = 0; i < N; i++) {
+            sum += x[i]*y[i];
+        }
+        return sum;
+    }
+    let precondition = null;
+    if (preconditioner == 'jacobi') {
+        let diag = A.getDiagonal();
+        for (let i = 0; i < N; i++) {
+            if (diag[i] == 0) {
+                diag[i] = 1;
+            }
+        }
+        precondition = function(r, z) {
+            for (let i = 0; i < N; i++) {
+                z[i] = r[i]/diag[i];
+            }
+        };
+    }
+    else if (preconditioner == 'ichol') {
+        const L = getIncompleteCholesky(A);
+        precondition = function(r, z) {
+            solveLowerTriangular(L, r, z);
+            solveUpperTriangular(L, z, z);
+        };
+    }
+    else if (preconditioner == 'none') {
+        precondition = function(r, z) {
+            z.set(r);
+        };
+    }
+    else {
+        throw "Error (solveConjugateGradient): Unknown preconditioner " + preconditioner;
+    }
+    let x = x0 === undefined ? new Float64Array(N) : Float64Array.from(x0);
+    let r = Float64Array.from(b);
+    let Ap = new Float64Array(N);
+    if (x0 !== undefined) {
+        A.multiply(x, Ap);
+        for (let i = 0; i < N; i++) {
+            r[i] -= Ap[i];
+        }
+    }
+    let z = new Float64Array(N);
+    precondition(r, z);
+    let p = Float64Array.from(z);
+    let rz = dot(r, z);
+    const stop = tol*Math.sqrt(dot(b, b));
+    for (let iter = 0; iter < maxIters && Math.sqrt(dot(r, r)) > stop; iter++) {
+        A.multiply(p, Ap);
+        const pAp = dot(p, Ap);
+        if (pAp <= 0) {
+            break;
+        }
+        const alpha = rz/pAp;
+        for (let i = 0; i < N; i++) {
+            x[i] += alpha*p[i];
+            r[i] -= alpha*Ap[i];
+        }
+        precondition(r, z);
+        const rzNext = dot(r, z);
+        for (let i = 0; i < N; i++) {
+            p[i] = z[i] + (rzNext/rz)*p[i];
+        }
+        rz = rzNext;
+    }
+    return x;
+}
+
+/**
+ * Solve Ly = b, where L is lower triangular with the diagonal
+ * last in every row
+ *
+ * @param {CSRMatrix} L The lower triangular matrix
+ * @param {list} b A list of N floats
+ * @param {Float64Array} y Where to put the solution, which may be b
+ */
+function solveLowerTriangular(L, b, y) {
+    for (let i = 0; i < L.numRows; i++) {
+        let sum = b[i];
+        const last = L.rowPtr[i+1]-1;
+        for (let k = L.rowPtr[i]; k < last; k++) {
+            sum -= L.vals[k]*y[L.colIdx[k]];
+        }
+        y[i] = sum/L.vals[last];
+    }
+}
+
+/**
+ * Solve L^Tx = y, where L is lower triangular with the diagonal
+ * last in every row
+ *
+ * @param {CSRMatrix} L The lower triangular matrix
+ * @param {list} y A list of N floats
+ * @param {Float64Array} x Where to put the solution, which may be y
+ */
+function solveUpperTriangular(L, y, x) {
+    if (x !== y) {
+        x.set(y);
+    }
+    for (let i = L.numRows-1; i >= 0; i--) {
+        const last = L.rowPtr[i+1]-1;
+        x[i] /= L.vals[last];
+        for (let k = L.rowPtr[i]; k < last; k++) {
+            x[L.colIdx[k]] -= L.vals[k]*x[i];
+        }
+    }
+}
+
+/**
+ * Compute a reverse Cuthill-McKee ordering of a symmetric matrix,
+ * which keeps the nonzeros close to the diagonal so that its
+ * Cholesky factor has little fill
+ *
+ * @param {CSRMatrix} A The matrix
+ *
+ * @returns {Int32Array} perm, where perm[k] is the kth row in the new order
+ */
+function getReverseCuthillMcKee(A) {
+    const N = A.numRows;
+    let degree = new Int32Array(N);
+    for (let i = 0; i < N; i++) {
+        degree[i] = A.rowPtr[i+1] - A.rowPtr[i];
+    }
+    let perm = new Int32Array(N);
+    let visited = new Uint8Array(N);
+    let count = 0;
+    // Breadth first search from a root, visiting neighbors in order of
+    // increasing degree, and returning the last vertex that was reached
+    function bfs(root, record) {
+        let queue = [root];
+        let seen = new Set([root]);
+        for (let q = 0; q < queue.length; q++) {
+            const i = queue[q];
+            if (record) {
+                perm[count++] = i;
+                visited[i] = 1;
+            }
+            let neighbors = [];
+            for (let k = A.rowPtr[i]; k < A.rowPtr[i+1]; k++) {
+                const j = A.colIdx[k];
+                if (!seen.has(j)) {
+                    seen.add(j);
+                    neighbors.push(j);
+                }
+            }
+            neighbors.sort(function(a, b) {
+                return degree[a] - degree[b];
+            });
+            for (const j of neighbors) {
+                queue.push(j);
+            }
+        }
+        return queue[queue.length-1];
+    }
+    for (let start = 0; start < N; start++) {
+        if (visited[start]) {
+            continue;
+        }
+        // Start from the far end of the component, which is a cheap
+        // guess for a vertex on the outskirts of it
+        bfs(bfs(start, false), true);
+    }
+    return perm.reverse();
+}
+
+/**
+ * Compute a nested dissection ordering of a symmetric matrix.  The graph
+ * of its nonzeros is split in two by a separator, which comes last in the
+ * order, and then each half is ordered the same way.  Eliminating the two
+ * halves can't create any fill between them, so for the matrices of meshes,
+ * whose separators are small, the Cholesky factor has far less fill than
+ * with a banded ordering such as reverse Cuthill-McKee.  The separators are
+ * levels of a breadth first search from a vertex on the outskirts of the graph
+ *
+ * @param {CSRMatrix} A The matrix
+ *
+ * @returns {Int32Array} perm, where perm[k] is the kth row in the new order
+ */
+function getNestedDissection(A) {
+    const N = A.numRows;
+    // Each step of the search marks the vertices it works on with a new
+    // stamp, so that it stays within them and knows which ones it has seen
+    let stamp = new Int32Array(N).fill(-1);
+    let numStamps = 0;
+    let level = new Int32Array(N);
+    let perm = new Int32Array(N);
+    let count = 0;
+    // Breadth first search from a root over the vertices marked with
+    // stamp "from", marking the ones it reaches with stamp "to"
+    function bfs(root, from, to) {
+        let queue = [root];
+        stamp[root] = to;
+        level[root] = 0;
+        for (let q = 0; q < queue.length; q++) {
+            const i = queue[q];
+            for (let k = A.rowPtr[i]; k < A.rowPtr[i+1]; k++) {
+                const j = A.colIdx[k];
+                if (stamp[j] == from) {
+                    stamp[j] = to;
+                    level[j] = level[i] + 1;
+                    queue.push(j);
+                }
+            }
+        }
+        return queue;
+    }
+    function dissect(nodes) {
+        if (nodes.length <= 64) {
+            for (const i of nodes) {
+                perm[count++] = i;
+            }
+            return;
+        }
+        const id = numStamps++;
+        for (const i of nodes) {
+            stamp[i] = id;
+        }
+        for (const seed of nodes) {
+            if (stamp[seed] != id) {
+                continue;
+            }
+            // Step 1: Find a connected component, and search it again from
+            // the last vertex that was reached, which is a cheap guess for a
+            // vertex on its outskirts
+            const s1 = numStamps++;
+            const component = bfs(seed, id, s1);
+            const s2 = numStamps++;
+            const queue = bfs(component[component.length-1], s1, s2);
+            const numLevels = level[queue[queue.length-1]] + 1;
+            if (queue.length <= 64 || numLevels < 3) {
+                for (const i of queue) {
+                    perm[count++] = i;
+                }
+                continue;
+            }
+            // Step 2: Use the smallest level that leaves at least a fifth of
+            // the vertices on either side as the separator, or the middle
+            // level if there isn't one
+            let counts = new Int32Array(numLevels);
+            for (const i of queue) {
+                counts[level[i]]++;
+            }
+            let sep = -1;
+            let middle = -1;
+            let before = 0;
+            for (let l = 1; l < numLevels-1; l++) {
+                before += counts[l-1];
+                const after = queue.length - before - counts[l];
+                if (Math.min(before, after) >= 0.2*queue.length && (sep == -1 || counts[l] < counts[sep])) {
+                    sep = l;
+                }
+                if (middle == -1 && before + counts[l] >= queue.length/2) {
+                    middle = l;
+                }
+            }
+            if (sep == -1) {
+                sep = middle;
+            }
+            // Step 3: Split the component, leaving vertices of the separator
+            // that aren't next to the far side of it on the near side
+            let near = [];
+            let far = [];
+            let separator = [];
+            for (const i of queue) {
+                if (level[i] < sep) {
+                    near.push(i);
+                }
+                else if (level[i] > sep) {
+                    far.push(i);
+                }
+                else {
+                    let touchesFar = false;
+                    for (let k = A.rowPtr[i]; k < A.rowPtr[i+1] && !touchesFar; k++) {
+                        touchesFar = level[A.colIdx[k]] == sep+1 && stamp[A.colIdx[k]] == s2;
+                    }
+                    if (touchesFar) {
+                        separator.push(i);
+                    }
+                    else {
+                        near.push(i);
+                    }
+                }
+            }
+            dissect(near);
+            dissect(far);
+            for (const i of separator) {
+                perm[count++] = i;
+            }
+        }
+    }
+    let all = [];
+    for (let i = 0; i < N; i++) {
+        all.push(i);
+    }
+    dissect(all);
+    return perm;
+}
+
+/**
+ * A sparse Cholesky factorization PAP^T = LL^T of a symmetric positive
+ * definite matrix, with a fill reducing ordering P.  Once it's made,
+ * systems with A can be solved over and over for new right hand sides,
+ * which is much faster than running conjugate gradient each time
+ */
+class SparseCholesky {
+    /**
+     * Factor a matrix, which uses the up-looking method in Tim Davis's
+     * "Direct Methods for Sparse Linear Systems" (2006)
+     *
+     * @param {CSRMatrix} A A symmetric positive definite matrix
+     * @param {string} ordering 'dissection' (default): A nested dissection
+     *                                                 ordering (see getNestedDissection)
+     *                          'rcm': A reverse Cuthill-McKee ordering, which
+     *                                 has much more fill on large meshes
+     */
+    constructor(A, ordering) {
+        if (A.numRows != A.numCols) {
+            throw "Error (SparseCholesky): Matrix must be square";
+        }
+        if (ordering === undefined) {
+            ordering = 'dissection';
+        }
+        const N = A.numRows;
+        this.N = N;
+        if (ordering == 'rcm') {
+            this.perm = getReverseCuthillMcKee(A);
+        }
+        else {
+            this.perm = getNestedDissection(A);
+        }
+        let inverse = new Int32Array(N);
+        for (let k = 0; k < N; k++) {
+            inverse[this.perm[k]] = k;
+        }
+        // Step 1: Permute A into C = PAP^T.  Since C is symmetric,
+        // row k of C is also column k
+        let C = new COOMatrix(N, N);
+        for (let i = 0; i < N; i++) {
+            for (let k = A.rowPtr[i]; k < A.rowPtr[i+1]; k++) {
+                C.add(inverse[i], inverse[A.colIdx[k]], A.vals[k]);
+            }
+        }
+        C = C.toCSR();
+
+        // Step 2: Find the elimination tree of C
+        let parent = new Int32Array(N).fill(-1);
+        let ancestor = new Int32Array(N).fill(-1);
+        for (let k = 0; k < N; k++) {
+            for (let p = C.rowPtr[k]; p < C.rowPtr[k+1] && C.colIdx[p] < k; p++) {
+                let i = C.colIdx[p];
+                while (i != -1 && i < k) {
+                    const next = ancestor[i];
+                    ancestor[i] = k;
+                    if (next == -1) {
+                        parent[i] = k;
+                    }
+                    i = next;
+                }
+            }
+        }
+
+        // Step 3: The pattern of row k of L is the set of vertices on the paths
+        // in the elimination tree from the nonzeros of C(:, k) up to k
+        let stack = new Int32Array(N);
+        let marked = new Int32Array(N).fill(-1);
+        function reach(k) {
+            let top = N;
+            marked[k] = k;
+            for (let p = C.rowPtr[k]; p < C.rowPtr[k+1] && C.colIdx[p] < k; p++) {
+                let len = 0;
+                for (let i = C.colIdx[p]; marked[i] != k; i = parent[i]) {
+                    stack[len++] = i;
+                    marked[i] = k;
+                }
+                while (len > 0) {
+                    stack[--top] = stack[--len];
+                }
+            }
+            return top;
+        }
+        // Count the entries in each column of L to lay it out
+        let colPtr = new Int32Array(N+1);
+        for (let k = 0; k < N; k++) {
+            for (let top = reach(k); top < N; top++) {
+                colPtr[stack[top]+1]++;
+            }
+            colPtr[k+1]++;
+        }
+        for (let k = 0; k < N; k++) {
+            colPtr[k+1] += colPtr[k];
+        }
+        marked.fill(-1);
+
+        // Step 4: Compute L one row at a time, storing it by columns
+        // with the diagonal first in each column
+        let rowIdx = new Int32Array(colPtr[N]);
+        let vals = new Float64Array(colPtr[N]);
+        let next = colPtr.slice(0, N);
+        let x = new Float64Array(N);
+        for (let k = 0; k < N; k++) {
+            const top = reach(k);
+            let d = 0;
+            for (let p = C.rowPtr[k]; p < C.rowPtr[k+1] && C.colIdx[p] <= k; p++) {
+                if (C.colIdx[p] == k) {
+                    d = C.vals[p];
+                }
+                else {
+                    x[C.colIdx[p]] = C.vals[p];
+                }
+            }
+            for (let t = top; t < N; t++) {
+                const i = stack[t];
+                const lki = x[i]/vals[colPtr[i]];
+                x[i] = 0;
+                for (let p = colPtr[i]+1; p < next[i]; p++) {
+                    x[rowIdx[p]] -= vals[p]*lki;
+                }
+                d -= lki*lki;
+                const p = next[i]++;
+                rowIdx[p] = k;
+                vals[p] = lki;
+            }
+            if (!(d > 0)) {
+                throw "Error (SparseCholesky): Matrix is not positive definite";
+            }
+            const p = next[k]++;
+            rowIdx[p] = k;
+            vals[p] = Math.sqrt(d);
+        }
+        this.colPtr = colPtr;
+        this.rowIdx = rowIdx;
+        this.vals = vals;
+    }
+
+    /**
+     * @returns {int} The number of entries in the factor L
+     */
+    getNNZ() {
+        return this.colPtr[this.N];
+    }
+
+    /**
+     * Solve Ax = b with the factorization
+     *
+     * @param {list} b A list of N floats
+     *
+     * @returns {Float64Array} The solution x
+     */
+    solve(b) {
+        const N = this.N;
+        let y = new Float64Array(N);
+        for (let k = 0; k < N; k++) {
+            y[k] = b[this.perm[k]];
+        }
+        // Solve Lz = y, then L^Tw = z, in place
+        for (let j = 0; j < N; j++) {
+            y[j] /= this.vals[this.colPtr[j]];
+            for (let p = this.colPtr[j]+1; p < this.colPtr[j+1]; p++) {
+                y[this.rowIdx[p]] -= this.vals[p]*y[j];
+            }
+        }
+        for (let j = N-1; j >= 0; j--) {
+            for (let p = this.colPtr[j]+1; p < this.colPtr[j+1]; p++) {
+                y[j] -= this.vals[p]*y[this.rowIdx[p]];
+            }
+            y[j] /= this.vals[this.colPtr[j]];
+        }
+        let x = new Float64Array(N);
+        for (let k = 0; k < N; k++) {
+            x[this.perm[k]] = y[k];
+        }
+        return x;
+    }
+}
@@ -1,6 +1,32 @@
 DRAW_OFFSET = 1.001; // Draw points at a slight multiplicative offset for debugging
 LINE_WIDTH = 4;
 
+// Control points of colormaps, evenly spaced between 0 and 1
+COLORMAPS = {
+    'coolwarm':[[0.23, 0.30, 0.75], [0.55, 0.69, 1.0], [0.87, 0.87, 0.87], [0.96, 0.60, 0.48], [0.71, 0.02, 0.15]],
+    'viridis':[[0.27, 0.00, 0.33], [0.23, 0.32, 0.55], [0.13, 0.57, 0.55], [0.37, 0.79, 0.38], [0.99, 0.91, 0.14]],
+    'jet':[[0, 0, 0.5], [0, 0, 1], [0, 1, 1], [1, 1, 0], [1, 0, 0], [0.5, 0, 0]],
+    'gray':[[0, 0, 0], [1, 1, 1]]
+};
+
+/**
+ * Look up a color in a colormap
+ * 
+ * @param {float} x A number between 0 and 1
+ * @param {string} colormap The name of a colormap in COLORMAPS
+ * 
+ * @returns {list} An [R, G, B] color
+ */
+function getColormapColor(x, colormap) {
+    const points = COLORMAPS[colormap];
+    x = Math.max(0, Math.min(1, x))*(points.length-1);
+    const i = Math.min(Math.floor(x), points.length-2);
+    const t = x - i;
+    return [0, 1, 2].map(function(k) {
+        return (1-t)*points[i][k] + t*points[i+1][k];
+    });
+}
+
 class HalfEdgeCanvas extends BaseCanvas {
     /**
      * @param {SOREditor} sorEditor Surface of revolution editor
@@ -67,6 +93,9 @@ class HalfEdgeCanvas extends BaseCanvas {
         const gui = this.gui;
         let canvas = this;
         let simpleRepaint = function() {
+            // Every menu operation ends here, and it may have changed the mesh,
+            // so finish any surface edit rather than dragging from a stale pose
+            canvas.commitEdit();
             requestAnimFrame(canvas.repaint.bind(canvas));
         }
         // Mesh display options menu
@@ -94,6 +123,9 @@ class HalfEdgeCanvas extends BaseCanvas {
             if (i < 0) {
                 canvas.vertTest.vertexIndex = 0;
             }
+            if (canvas.geodesic.show) {
+                canvas.updateGeodesicDistances();
+            }
             simpleRepaint();
         });
         vertTests.add(this.vertTest, 'type', ['getVertexNeighbors', 'getAttachedFaces']).onChange(simpleRepaint);
@@ -114,6 +146,19 @@ class HalfEdgeCanvas extends BaseCanvas {
         });
         faceTests.add(this.faceTest, 'type', ['getEdges']).onChange(simpleRepaint);
         faceTests.add(this.faceTest, 'showResult').onChange(simpleRepaint);
+
+        // Integral properties, which are updated whenever the mesh changes
+        let statsMenu = gui.addFolder("Mesh Statistics");
+        this.stats = {'live':true, 'centroidOf':'volume', 'surfaceArea':0, 'volume':0, 
+                      'centroid':'', 'inertiaX':'', 'inertiaY':'', 'inertiaZ':''};
+        let updateStats = function() {
+            canvas.updateStats();
+        }
+        statsMenu.add(this.stats, 'live').onChange(updateStats);
+        statsMenu.add(this.stats, 'centroidOf', ['volume', 'surface']).onChange(updateStats);
+        for (const key of ['surfaceArea', 'volume', 'centroid', 'inertiaX', 'inertiaY', 'inertiaZ']) {
+            statsMenu.add(this.stats, key).listen();
+        }
     
         let geomMenu = gui.addFolder("Geometric Tasks");
         this.inflationFac = 0.1;
@@ -121,30 +166,339 @@ class HalfEdgeCanvas extends BaseCanvas {
             canvas.mesh.inflateDeflate(canvas.inflationFac);
             simpleRepaint();
         }
+        this.smoothing = {'weighting':'uniform', 'lambda':0.5, 'mu':-0.53, 'fixBoundary':false};
+        let opts = this.smoothing;
         this.laplacianSmooth = function() {
-            canvas.mesh.laplacianSmoothSharpen(true);
+            canvas.mesh.laplacianSmoothSharpen(true, opts.weighting, opts.lambda, opts.fixBoundary);
             simpleRepaint();
         }
         this.laplacianSharpen = function() {
-            canvas.mesh.laplacianSmoothSharpen(false);
+            canvas.mesh.laplacianSmoothSharpen(false, opts.weighting, opts.lambda, opts.fixBoundary);
+            simpleRepaint();
+        }
+        this.taubinSmooth = function() {
+            canvas.mesh.taubinSmooth(opts.lambda, opts.mu, opts.weighting, opts.fixBoundary);
             simpleRepaint();
         }
         geomMenu.add(this, 'inflationFac', -1, 1);
         geomMenu.add(this, 'inflateDeflate');
+        geomMenu.add(this.smoothing, 'weighting', ['uniform', 'cotangent', 'meanvalue']);
+        geomMenu.add(this.smoothing, 'lambda', 0, 1);
+        geomMenu.add(this.smoothing, 'mu', -1, 0);
+        geomMenu.add(this.smoothing, 'fixBoundary');
         geomMenu.add(this, 'laplacianSmooth');
         geomMenu.add(this, 'laplacianSharpen');
+        geomMenu.add(this, 'taubinSmooth');
+        let flowMenu = geomMenu.addFolder("Mean curvature flow");
+        // Time step as a multiple of the squared mean edge length
+        this.fairing = {'timeStep':5, 'iterations':1, 'preserveVolume':true};
+        flowMenu.add(this.fairing, 'timeStep', 0, 50);
+        flowMenu.add(this.fairing, 'iterations', 1, 20, 1);
+        flowMenu.add(this.fairing, 'preserveVolume');
+        this.implicitFair = function() {
+            let h = canvas.mesh.getTriangleQuality().meanEdgeLength;
+            try {
+                canvas.mesh.implicitFair(canvas.fairing.timeStep*h*h, canvas.fairing.iterations,
+                                         canvas.fairing.preserveVolume, opts.fixBoundary);
+            }
+            catch (err) {
+                alert(err);
+                return;
+            }
+            simpleRepaint();
+        }
+        flowMenu.add(this, 'implicitFair').name('Mean curvature flow');
+        let remeshMenu = geomMenu.addFolder("Isotropic Remeshing");
+        // Target edge length as a multiple of the current mean edge length
+        this.remesh = {'lengthFac':1, 'iterations':5, 'quality':""};
+        remeshMenu.add(this.remesh, 'lengthFac', 0.1, 4);
+        remeshMenu.add(this.remesh, 'iterations', 1, 20, 1);
+        this.remeshIsotropic = function() {
+            let L = canvas.mesh.getTriangleQuality().meanEdgeLength*canvas.remesh.lengthFac;
+            let res = canvas.mesh.remeshIsotropic(L, canvas.remesh.iterations);
+            canvas.remesh.quality = "Mean quality " + res.before.meanQuality.toFixed(3) + 
+                                    " -> " + res.after.meanQuality.toFixed(3) + 
+                                    ", min angle " + res.before.minAngle.toFixed(1) + 
+                                    " -> " + res.after.minAngle.toFixed(1);
+            simpleRepaint();
+        }
+        remeshMenu.add(this, 'remeshIsotropic');
+        remeshMenu.add(this.remesh, 'quality').listen();
+
+        // Laplacian or as-rigid-as-possible surface editing.  While select is on,
+        // left dragging paints vertices into that set, and while drag is on, left
+        // dragging moves the handles.  The right and middle buttons still move
+        // the camera
+        let editMenu = gui.addFolder("Surface Editing");
+        this.editing = {'select':'none', 'erase':false, 'brushRadius':10, 
+                        'drag':'off', 'method':'laplacian', 'weighting':'cotangent', 
+                        'iterations':5, 'energy':0, 'roiRings':1};
+        this.editSets = {'handles':new Set(), 'anchors':new Set(), 'roi':new Set()};
+        this.editor = null;
+        this.editTargets = null;
+        this.editDragging = false;
+        editMenu.add(this.editing, 'select', ['none', 'handles', 'anchors', 'roi']).onChange(function(v) {
+            if (v != 'none') {
+                canvas.editing.drag = 'off';
+            }
+        }).listen();
+        editMenu.add(this.editing, 'erase');
+        editMenu.add(this.editing, 'brushRadius', 1, 50);
+        editMenu.add(this.editing, 'roiRings', 1, 10).step(1);
+        this.growROI = function() {
+            canvas.growEditROI(canvas.editing.roiRings);
+            simpleRepaint();
+        }
+        editMenu.add(this, 'growROI');
+        this.clearSelection = function() {
+            canvas.clearEditSelection();
+            simpleRepaint();
+        }
+        editMenu.add(this, 'clearSelection');
+        editMenu.add(this.editing, 'method', ['laplacian', 'arap']).onChange(function() {
+            canvas.commitEdit();
+        });
+        editMenu.add(this.editing, 'weighting', ['cotangent', 'uniform']).onChange(function() {
+            canvas.commitEdit();
+        });
+        // Local/global iterations for every step of an ARAP drag
+        editMenu.add(this.editing, 'iterations', 1, 50).step(1);
+        editMenu.add(this.editing, 'energy').listen();
+        editMenu.add(this.editing, 'drag', ['off', 'translate', 'rotate']).onChange(function(v) {
+            if (v != 'off') {
+                canvas.editing.select = 'none';
+            }
+        }).listen();
+        // These can't share the names of commitEdit and cancelEdit, 
+        // since they're stored on the canvas too
+        this.applyEdit = function() {
+            canvas.commitEdit();
+            simpleRepaint();
+        }
+        this.revertEdit = function() {
+            canvas.cancelEdit();
+            simpleRepaint();
+        }
+        editMenu.add(this, 'applyEdit');
+        editMenu.add(this, 'revertEdit');
     
+        let curvMenu = gui.addFolder("Curvature");
+        this.curvature = {'display':'none', 'colormap':'coolwarm', 'clampPercentile':95, 
+                          'totalGaussian':0, 'eulerCharacteristic':0};
+        let applyCurvature = function() {
+            canvas.applyCurvatureColors();
+            simpleRepaint();
+        }
+        curvMenu.add(this.curvature, 'display', ['none', 'gaussian', 'mean']).onChange(applyCurvature);
+        curvMenu.add(this.curvature, 'colormap', Object.keys(COLORMAPS)).onChange(applyCurvature);
+        curvMenu.add(this.curvature, 'clampPercentile', 50, 100).onChange(applyCurvature);
+        curvMenu.add(this.curvature, 'totalGaussian').listen();
+        curvMenu.add(this.curvature, 'eulerCharacteristic').listen();
+        // Principal directions are drawn as crosses whose arms are
+        // directionScale times the mean edge length
+        let principalMenu = curvMenu.addFolder("Principal Directions");
+        this.principal = {'showDirections':false, 'directionScale':0.4, 
+                          'showLines':false, 'lineDirection':'max', 'numLines':50};
+        this.principalCurvatures = null;
+        this.curvatureLines = [];
+        let updatePrincipal = function() {
+            canvas.updatePrincipalCurvatures();
+            simpleRepaint();
+        }
+        principalMenu.add(this.principal, 'showDirections').onChange(updatePrincipal);
+        principalMenu.add(this.principal, 'directionScale', 0.05, 2).onChange(simpleRepaint);
+        principalMenu.add(this.principal, 'showLines').onChange(updatePrincipal);
+        principalMenu.add(this.principal, 'lineDirection', ['max', 'min']).onChange(updatePrincipal);
+        principalMenu.add(this.principal, 'numLines', 1, 500).step(1).onChange(updatePrincipal);
+        this.recomputePrincipal = updatePrincipal;
+        principalMenu.add(this, 'recomputePrincipal');
+
+        // Distances are measured from the vertex in vertTest.vertexIndex
+        let geodesicMenu = gui.addFolder("Geodesics");
+        this.geodesic = {'show':false, 'mode':'heat', 'timeFactor':10, 'numIsolines':20, 
+                         'colormap':'viridis', 'maxDistance':0};
+        this.geodesicDistances = null;
+        let updateGeodesic = function() {
+            canvas.updateGeodesicDistances();
+            simpleRepaint();
+        }
+        geodesicMenu.add(this.geodesic, 'show').onChange(updateGeodesic);
+        geodesicMenu.add(this.geodesic, 'mode', ['dijkstra', 'heat']).onChange(updateGeodesic);
+        geodesicMenu.add(this.geodesic, 'timeFactor', 1, 100).onChange(updateGeodesic);
+        geodesicMenu.add(this.geodesic, 'numIsolines', 0, 100).step(1).onChange(simpleRepaint);
+        geodesicMenu.add(this.geodesic, 'colormap', Object.keys(COLORMAPS)).onChange(updateGeodesic);
+        this.recomputeGeodesic = updateGeodesic;
+        geodesicMenu.add(this, 'recomputeGeodesic');
+        geodesicMenu.add(this.geodesic, 'maxDistance').listen();
+        // Shortest path between two vertices, either along the edges or
+        // straightened into a geodesic that crosses the faces
+        let pathMenu = geodesicMenu.addFolder("Shortest Path");
+        this.shortestPath = {'show':false, 'source':0, 'target':1, 'type':'geodesic', 
+                             'pick':'none', 'length':0, 'vertexIDs':''};
+        this.path = null;
+        let updatePath = function() {
+            canvas.updateShortestPath();
+            simpleRepaint();
+        }
+        pathMenu.add(this.shortestPath, 'show').onChange(updatePath).listen();
+        pathMenu.add(this.shortestPath, 'source').onChange(updatePath).listen();
+        pathMenu.add(this.shortestPath, 'target').onChange(updatePath).listen();
+        pathMenu.add(this.shortestPath, 'type', ['edge', 'geodesic']).onChange(updatePath);
+        // Choose the source or target by clicking on a vertex
+        pathMenu.add(this.shortestPath, 'pick', ['none', 'source', 'target']);
+        pathMenu.add(this.shortestPath, 'length').listen();
+        pathMenu.add(this.shortestPath, 'vertexIDs').listen();
+        this.savePathJSON = function() {
+            if (canvas.path === null) {
+                return;
+            }
+            let file = new Blob([getPathJSON(canvas.path)], {type: "txt"});
+            let a = document.createElement("a");
+            let url = URL.createObjectURL(file);
+            a.href = url;
+            a.download = "path.json";
+            document.body.appendChild(a);
+            a.click();
+            setTimeout(function() {
+                document.body.removeChild(a);
+                window.URL.revokeObjectURL(url);
+            }, 0);
+        }
+        pathMenu.add(this, 'savePathJSON');
+
+        let paramMenu = gui.addFolder("Parameterization");
+        // Pins of -1 are chosen automatically on the boundary
+        this.param = {'method':'tutte', 'shape':'circle', 'pin1':-1, 'pin2':-1,
+                      'showChecker':false, 'show2D':true, 'colorBy':'none',
+                      'angleMean':0, 'angleMax':0, 'areaMean':0, 'areaMax':0, 'flipped':0};
+        this.numChecks = 10;
+        this.parameterized = false;
+        // A 2D view of the mesh in texture coordinates, under the 3D view
+        this.uvCanvas = document.createElement("canvas");
+        this.uvCanvas.width = 400;
+        this.uvCanvas.height = 400;
+        this.uvCanvas.style.border = "solid";
+        this.uvCanvas.style.display = "none";
+        this.meshViewer.appendChild(this.uvCanvas);
+        paramMenu.add(this.param, 'method', ['tutte', 'lscm']);
+        paramMenu.add(this.param, 'shape', ['circle', 'square']);
+        paramMenu.add(this.param, 'pin1').step(1);
+        paramMenu.add(this.param, 'pin2').step(1);
+        this.parameterize = function() {
+            let opts = canvas.param;
+            let uvs = null;
+            try {
+                if (opts.method == 'tutte') {
+                    uvs = getTutteParameterization(canvas.mesh, opts.shape);
+                }
+                else {
+                    const N = canvas.mesh.vertices.length;
+                    const valid = opts.pin1 >= 0 && opts.pin1 < N && opts.pin2 >= 0 && opts.pin2 < N;
+                    uvs = getLSCMParameterization(canvas.mesh, valid ? opts.pin1 : undefined, valid ? opts.pin2 : undefined);
+                }
+            }
+            catch (err) {
+                alert(err);
+                return;
+            }
+            setTexCoords(canvas.mesh, uvs);
+            canvas.parameterized = true;
+            canvas.updateUVView();
+            simpleRepaint();
+        }
+        paramMenu.add(this, 'parameterize');
+        paramMenu.add(this.param, 'showChecker').onChange(simpleRepaint);
+        paramMenu.add(this, 'numChecks', 1, 100).step(1).onChange(simpleRepaint);
+        paramMenu.add(this.param, 'show2D').onChange(function() {
+            canvas.updateUVView();
+        });
+        paramMenu.add(this.param, 'colorBy', ['none', 'angle', 'area']).onChange(function() {
+            canvas.updateUVView();
+        });
+        ['angleMean', 'angleMax', 'areaMean', 'areaMax', 'flipped'].forEach(function(s) {
+            paramMenu.add(canvas.param, s).listen();
+        });
+
         let topoMenu = gui.addFolder("Topological Tasks");
         this.showBoundaries = false;
         this.genus = -1;
         topoMenu.add(this, 'showBoundaries').onChange(simpleRepaint);
         topoMenu.add(this, 'genus').listen();
+        this.triangulate = function() {
+            canvas.mesh.triangulate();
+            simpleRepaint();
+        }
+        topoMenu.add(this, 'triangulate');
+        let orientationMenu = topoMenu.addFolder("Orientation");
+        this.orientation = {'orientable':'Not checked', 'showSeams':false};
+        this.checkOrientation = function() {
+            canvas.updateOrientation();
+        }
+        orientationMenu.add(this, 'checkOrientation');
+        orientationMenu.add(this.orientation, 'orientable').listen();
+        orientationMenu.add(this.orientation, 'showSeams').onChange(simpleRepaint);
+        this.reverseOrientation = function() {
+            canvas.mesh.reverseOrientation();
+            simpleRepaint();
+        }
+        orientationMenu.add(this, 'reverseOrientation');
+        this.orientOutward = function() {
+            canvas.mesh.orientOutward();
+            simpleRepaint();
+        }
+        orientationMenu.add(this, 'orientOutward');
+        this.holeFilling = {'maxEdges':50, 'mode':'liepa', 'filled':0};
+        topoMenu.add(this.holeFilling, 'maxEdges', 3, 1000).step(1);
+        topoMenu.add(this.holeFilling, 'mode', ['fan', 'minarea', 'liepa']);
+        this.fillHoles = function() {
+            let opts = canvas.holeFilling;
+            opts.filled = canvas.mesh.fillHoles(opts.maxEdges, opts.mode);
+            canvas.genus = canvas.mesh.getGenus();
+            simpleRepaint();
+        }
+        topoMenu.add(this, 'fillHoles').name('Fill all holes below N edges');
+        topoMenu.add(this.holeFilling, 'filled').listen();
+        let componentMenu = topoMenu.addFolder("Connected Components");
+        this.components = {'show':false, 'minFaces':10, 'minArea':0, 'index':0};
+        this.componentList = {};
+        this.componentControllers = [];
+        let updateComponents = function() {
+            canvas.updateComponents(componentMenu);
+            simpleRepaint();
+        }
+        componentMenu.add(this.components, 'show').onChange(updateComponents);
+        this.keepLargestComponent = function() {
+            canvas.mesh.keepLargestComponent();
+            updateComponents();
+        }
+        componentMenu.add(this, 'keepLargestComponent');
+        componentMenu.add(this.components, 'minFaces', 0, 1000).step(1);
+        componentMenu.add(this.components, 'minArea', 0);
+        this.removeSmallComponents = function() {
+            canvas.mesh.removeSmallComponents(canvas.components.minFaces, canvas.components.minArea);
+            updateComponents();
+        }
+        componentMenu.add(this, 'removeSmallComponents');
+        componentMenu.add(this.components, 'index', 0).step(1);
+        this.extractComponent = function() {
+            let meshes = canvas.mesh.splitComponents();
+            let i = Math.max(0, Math.min(canvas.components.index, meshes.length-1));
+            if (meshes.length > 0) {
+                canvas.restoreVertexColors();
+                copyInMesh(meshes[i]);
+                canvas.centerCamera();
+            }
+            updateComponents();
+        }
+        componentMenu.add(this, 'extractComponent');
         
         function copyInMesh(mesh) {
             canvas.mesh.vertices = mesh.vertices;
             canvas.mesh.edges = mesh.edges;
             canvas.mesh.faces = mesh.faces;
             canvas.mesh.needsDisplayUpdate = true;
+            canvas.clearValidation();
+            canvas.sqrt3Steps = 0;
         }
         let creationMenu = gui.addFolder("Mesh Creation");
         this.makeTriangle = function() {
@@ -174,6 +528,17 @@ class HalfEdgeCanvas extends BaseCanvas {
             simpleRepaint();
         }
         truncateMenu.add(this, 'truncate');
+        let decimateMenu = creationMenu.addFolder("Decimation");
+        this.decimationRatio = 0.5;
+        this.decimationError = 0;
+        decimateMenu.add(this, 'decimationRatio', 0.01, 1);
+        this.decimate = function() {
+            let target = Math.floor(canvas.mesh.faces.length*canvas.decimationRatio);
+            canvas.decimationError = canvas.mesh.decimate(target);
+            simpleRepaint();
+        }
+        decimateMenu.add(this, 'decimate');
+        decimateMenu.add(this, 'decimationError').listen();
         this.subdivideTopological = function() {
             copyInMesh(canvas.mesh.subdivideTopological());
             simpleRepaint();
@@ -189,11 +554,967 @@ class HalfEdgeCanvas extends BaseCanvas {
             simpleRepaint();
         }
         creationMenu.add(this, 'subdivideLoop');
+        // The boundary is only split on every other sqrt(3) step, counting
+        // from the last time the mesh was loaded or replaced some other way
+        this.sqrt3Steps = 0;
+        this.subdivideSqrt3 = function() {
+            const steps = canvas.sqrt3Steps;
+            copyInMesh(canvas.mesh.subdivideSqrt3(steps%2 == 1));
+            canvas.sqrt3Steps = steps + 1;
+            simpleRepaint();
+        }
+        creationMenu.add(this, 'subdivideSqrt3');
+        this.subdivideButterfly = function() {
+            copyInMesh(canvas.mesh.subdivideButterfly());
+            simpleRepaint();
+        }
+        creationMenu.add(this, 'subdivideButterfly');
+        let adaptiveMenu = creationMenu.addFolder("Adaptive Subdivision");
+        // The threshold is a fraction of the bounding box diagonal in 'length'
+        // mode, an angle in degrees in 'curvature' mode, and a number of
+        // pixels in 'screen' mode
+        this.adaptive = {'mode':'length', 'threshold':0.05, 'selectedFaceOnly':false};
+        adaptiveMenu.add(this.adaptive, 'mode', ['length', 'curvature', 'screen']);
+        adaptiveMenu.add(this.adaptive, 'threshold');
+        adaptiveMenu.add(this.adaptive, 'selectedFaceOnly');
+        this.subdivideAdaptive = function() {
+            let threshold = canvas.adaptive.threshold;
+            if (canvas.adaptive.mode == 'length') {
+                threshold *= canvas.mesh.getBBox().getDiagLength();
+            }
+            let mask = undefined;
+            if (canvas.adaptive.selectedFaceOnly) {
+                // Only refine the face chosen under Traversal Tests
+                mask = canvas.mesh.faces.map(function(f) {
+                    return f.ID == canvas.faceTest.faceIndex;
+                });
+            }
+            copyInMesh(canvas.mesh.subdivideAdaptive(canvas.adaptive.mode, threshold, mask, canvas.camera));
+            simpleRepaint();
+        }
+        adaptiveMenu.add(this, 'subdivideAdaptive');
+        this.creaseAngle = 180;
+        creationMenu.add(this, 'creaseAngle', 0, 180);
+        this.subdivideCatmullClark = function() {
+            copyInMesh(canvas.mesh.subdivideCatmullClark(canvas.creaseAngle));
+            simpleRepaint();
+        }
+        creationMenu.add(this, 'subdivideCatmullClark');
+        let dualMenu = creationMenu.addFolder("Dual");
+        this.dual = {'placement':'centroid', 'boundary':'skip'};
+        dualMenu.add(this.dual, 'placement', ['centroid', 'circumcenter', 'areaweighted']);
+        dualMenu.add(this.dual, 'boundary', ['skip', 'include']);
+        this.makeDual = function() {
+            copyInMesh(canvas.mesh.makeDual(canvas.dual.placement, canvas.dual.boundary));
+            simpleRepaint();
+        }
+        dualMenu.add(this, 'makeDual');
+        let hullMenu = creationMenu.addFolder("Convex Hull");
+        // The convexity is the volume of the mesh over the volume of its hull
+        this.convexHull = {'source':'mesh', 'numPoints':1000, 'distribution':'ball',
+                           'meshVolume':0, 'hullVolume':0, 'convexity':0};
+        hullMenu.add(this.convexHull, 'source', ['mesh', 'random', 'OFF file']);
+        hullMenu.add(this.convexHull, 'numPoints', 4, 100000).step(1);
+        hullMenu.add(this.convexHull, 'distribution', ['cube', 'ball', 'sphere']);
+        let showHull = function(mesh) {
+            let opts = canvas.convexHull;
+            let hull = mesh.getConvexHull();
+            opts.meshVolume = mesh.getVolume();
+            opts.hullVolume = hull.getVolume();
+            opts.convexity = opts.hullVolume > 0 ? opts.meshVolume/opts.hullVolume : 0;
+            canvas.restoreVertexColors();
+            copyInMesh(hull);
+            canvas.centerCamera();
+            simpleRepaint();
+        }
+        this.makeConvexHull = function() {
+            let opts = canvas.convexHull;
+            if (opts.source == 'mesh') {
+                showHull(canvas.mesh);
+            }
+            else if (opts.source == 'random') {
+                let points = new HedgeMesh();
+                points.initFromFaceLists(getRandomPoints(opts.numPoints, opts.distribution), undefined, []);
+                showHull(points);
+            }
+            else {
+                // Ask for a file, and use the points of the mesh in it
+                let input = document.createElement("input");
+                input.type = "file";
+                input.onchange = function() {
+                    let reader = new FileReader();
+                    reader.onload = function(e) {
+                        let mesh = new HedgeMesh();
+                        try {
+                            mesh.loadFileFromLines(e.target.result.split("\n"));
+                        }
+                        catch (err) {
+                            alert(err);
+                            return;
+                        }
+                        showHull(mesh);
+                    }
+                    reader.readAsText(input.files[0]);
+                }
+                input.click();
+            }
+        }
+        hullMenu.add(this, 'makeConvexHull');
+        hullMenu.add(this.convexHull, 'meshVolume').listen();
+        hullMenu.add(this.convexHull, 'hullVolume').listen();
+        hullMenu.add(this.convexHull, 'convexity').listen();
     
+        this.validationErrors = [];
+        this.validationResult = "Not checked";
+        this.validateMesh = function() {
+            canvas.validationErrors = canvas.mesh.validate();
+            if (canvas.validationErrors.length == 0) {
+                canvas.validationResult = "Valid";
+            }
+            else {
+                canvas.validationResult = canvas.validationErrors.length + " violations";
+            }
+            simpleRepaint();
+        }
+        // Whether to repair non-manifold meshes when loading them,
+        // or to reject them
+        this.repairNonManifold = true;
+        gui.add(this, 'repairNonManifold');
+        gui.add(this, 'validateMesh').name('Validate mesh');
+        gui.add(this, 'validationResult').listen();
         gui.add(this.mesh, 'saveOffFile').onChange(simpleRepaint);
         simpleRepaint();
     }
 
+    /**
+     * Color the vertices by one of their scalar values, clamped
+     * symmetrically so that 0 is in the middle of the colormap
+     * 
+     * @param {list} values A value for each vertex
+     * @param {string} colormap Name of the colormap to use
+     * @param {float} clampPercentile Values are clamped to this
+     *                                percentile of their absolute values
+     */
+    setVertexColors(values, colormap, clampPercentile) {
+        this.saveVertexColors();
+        let sorted = values.map(Math.abs).sort(function(a, b) {
+            return a - b;
+        });
+        let idx = Math.min(sorted.length-1, Math.floor(sorted.length*clampPercentile/100));
+        let clamp = sorted.length > 0 ? sorted[idx] : 0;
+        if (clamp == 0) {
+            clamp = 1;
+        }
+        for (let i = 0; i < this.mesh.vertices.length; i++) {
+            this.mesh.vertices[i].color = getColormapColor(0.5 + 0.5*values[i]/clamp, colormap);
+        }
+        this.mesh.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Forget the violations found by the last validation, since they
+     * refer to a mesh that has been replaced
+     */
+    clearValidation() {
+        this.validationErrors = [];
+        this.validationResult = "Not checked";
+    }
+
+    /**
+     * Check whether the mesh is orientable and update the readout
+     * 
+     * @returns {list} The seams where the mesh was cut open because
+     *                 the orientation conflicts (see HedgeMesh.getOrientationSeams)
+     */
+    updateOrientation() {
+        let seams = this.mesh.getOrientationSeams();
+        if (seams.length == 0) {
+            this.orientation.orientable = "Yes";
+        }
+        else {
+            this.orientation.orientable = "No (" + seams.length + " seam edges)";
+        }
+        return seams;
+    }
+
+    /**
+     * Update the distortion statistics of the texture coordinates, and
+     * draw the mesh in texture coordinates in the 2D view.  Faces are
+     * colored by their angle or area distortion, and flipped faces are red
+     */
+    updateUVView() {
+        let c = this.uvCanvas;
+        if (!this.parameterized || !this.param.show2D) {
+            c.style.display = "none";
+            return;
+        }
+        c.style.display = "block";
+        const distortion = getParameterizationDistortion(this.mesh);
+        for (const s of ['angleMean', 'angleMax', 'areaMean', 'areaMax', 'flipped']) {
+            this.param[s] = distortion[s];
+        }
+        let ctx = c.getContext("2d");
+        ctx.fillStyle = "white";
+        ctx.fillRect(0, 0, c.width, c.height);
+        // Texture coordinates are in [0, 1] x [0, 1], with v going up
+        const margin = 10;
+        const scale = Math.min(c.width, c.height) - 2*margin;
+        ctx.lineWidth = 0.5;
+        ctx.strokeStyle = "black";
+        for (let i = 0; i < this.mesh.faces.length; i++) {
+            const vs = this.mesh.faces[i].getVertices();
+            ctx.beginPath();
+            for (let k = 0; k < vs.length; k++) {
+                const x = margin + scale*vs[k].texCoords[0];
+                const y = c.height - margin - scale*vs[k].texCoords[1];
+                if (k == 0) {
+                    ctx.moveTo(x, y);
+                }
+                else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.closePath();
+            let color = null;
+            if (this.param.colorBy == 'angle') {
+                // Saturate at 30 degrees
+                color = getColormapColor(distortion.faceAngle[i]/30, 'viridis');
+            }
+            else if (this.param.colorBy == 'area') {
+                // Saturate at a factor of 4
+                color = getColormapColor(Math.log2(distortion.faceArea[i])/2, 'viridis');
+            }
+            let area = 0;
+            for (let k = 0; k < vs.length; k++) {
+                const a = vs[k].texCoords;
+                const b = vs[(k+1)%vs.length].texCoords;
+                area += a[0]*b[1] - a[1]*b[0];
+            }
+            if (area < 0) {
+                color = [1, 0, 0];
+            }
+            if (color !== null) {
+                ctx.fillStyle = "rgb(" + color.map(function(x) {
+                    return Math.round(255*x);
+                }).join(",") + ")";
+                ctx.fill();
+            }
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Project the vertices of the mesh into the canvas
+     *
+     * @returns {list} For each vertex, {'x':pixel column, 'y':pixel row,
+     *                 'depth':distance in front of the camera}, or null
+     *                 if it's behind the camera
+     */
+    projectVertices() {
+        let PMV = glMatrix.mat4.create();
+        let MV = this.camera.getMVMatrix();
+        glMatrix.mat4.mul(PMV, this.camera.getPMatrix(), MV);
+        const W = this.glcanvas.width;
+        const H = this.glcanvas.height;
+        let p = glMatrix.vec4.create();
+        let q = glMatrix.vec4.create();
+        return this.mesh.vertices.map(function(v) {
+            glMatrix.vec4.set(p, v.pos[0], v.pos[1], v.pos[2], 1);
+            glMatrix.vec4.transformMat4(q, p, PMV);
+            if (q[3] <= 0) {
+                return null;
+            }
+            glMatrix.vec4.transformMat4(p, p, MV);
+            return {'x':(q[0]/q[3]+1)*W/2, 'y':(1-q[1]/q[3])*H/2, 'depth':-p[2]};
+        });
+    }
+
+    /**
+     * Find the size of a pixel at some distance in front of the camera
+     *
+     * @param {float} depth Distance in front of the camera
+     *
+     * @returns {float} The width of a pixel in world units at that depth
+     */
+    getPixelSize(depth) {
+        return 2*depth*Math.tan(this.camera.fovy/2)/this.glcanvas.height;
+    }
+
+    /**
+     * Find the pixel in the canvas that the mouse is over
+     *
+     * @param {mouse event} evt The mouse event
+     *
+     * @returns {object} {'x':pixel column, 'y':pixel row}
+     */
+    getMousePixel(evt) {
+        const rect = this.glcanvas.getBoundingClientRect();
+        const mouse = this.getMousePos(evt);
+        return {'x':(mouse.X - rect.left)*this.glcanvas.width/rect.width,
+                'y':(mouse.Y - rect.top)*this.glcanvas.height/rect.height};
+    }
+
+    /**
+     * Find the visible vertices under a circular brush in the canvas.
+     * Vertices that face away from the camera or that are much further
+     * away than the closest vertex under the brush are skipped, so that
+     * the brush doesn't go through to the other side of the mesh
+     *
+     * @param {mouse event} evt The mouse event at the center of the brush
+     * @param {float} radius Radius of the brush in pixels.  By default,
+     *                       the brush radius in the editing menu
+     *
+     * @returns {list} Indices of the vertices under the brush
+     */
+    getVerticesUnderBrush(evt, radius) {
+        if (radius === undefined) {
+            radius = this.editing.brushRadius;
+        }
+        const mouse = this.getMousePixel(evt);
+        const projected = this.projectVertices();
+        let hits = [];
+        let minDepth = Infinity;
+        let toCamera = glMatrix.vec3.create();
+        for (const v of this.mesh.vertices) {
+            const p = projected[v.ID];
+            if (v.h === null || p === null || Math.hypot(p.x-mouse.x, p.y-mouse.y) > radius) {
+                continue;
+            }
+            glMatrix.vec3.subtract(toCamera, this.camera.pos, v.pos);
+            if (glMatrix.vec3.dot(toCamera, v.getNormal()) <= 0) {
+                continue;
+            }
+            hits.push(v.ID);
+            minDepth = Math.min(minDepth, p.depth);
+        }
+        const maxDepth = minDepth + 2*radius*this.getPixelSize(minDepth);
+        return hits.filter(function(i) {
+            return projected[i].depth <= maxDepth;
+        });
+    }
+
+    /**
+     * Find the visible vertex closest to the mouse, if there is one 
+     * within a few pixels of it (see getVerticesUnderBrush)
+     *
+     * @param {mouse event} evt The mouse event
+     *
+     * @returns {int} Index of the vertex, or -1 if there isn't one
+     */
+    getVertexUnderMouse(evt) {
+        const mouse = this.getMousePixel(evt);
+        const projected = this.projectVertices();
+        let closest = -1;
+        let minDist = Infinity;
+        for (const i of this.getVerticesUnderBrush(evt, 10)) {
+            const dist = Math.hypot(projected[i].x-mouse.x, projected[i].y-mouse.y);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = i;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Make the vertex under the mouse the source or target of the
+     * shortest path, as chosen in the shortest path menu
+     *
+     * @param {mouse event} evt The mouse event
+     */
+    pickPathVertex(evt) {
+        let opts = this.shortestPath;
+        const i = this.getVertexUnderMouse(evt);
+        if (i == -1) {
+            return;
+        }
+        opts[opts.pick] = i;
+        opts.show = true;
+        this.updateShortestPath();
+        requestAnimFrame(this.repaint.bind(this));
+    }
+
+    /**
+     * Add the vertices under the brush to the set chosen in the
+     * editing menu, or take them out of it if erasing
+     *
+     * @param {mouse event} evt The mouse event at the center of the brush
+     */
+    paintEditSelection(evt) {
+        let set = this.editSets[this.editing.select];
+        this.commitEdit();
+        for (const i of this.getVerticesUnderBrush(evt)) {
+            if (this.editing.erase) {
+                set.delete(i);
+            }
+            else {
+                set.add(i);
+            }
+        }
+    }
+
+    /**
+     * Grow the region of interest by rings of neighbors.  If it's
+     * empty, it starts out with the handles
+     *
+     * @param {int} rings Number of rings of neighbors to add
+     */
+    growEditROI(rings) {
+        this.commitEdit();
+        let roi = this.editSets.roi;
+        if (roi.size == 0) {
+            this.editSets.handles.forEach(function(i) {
+                roi.add(i);
+            });
+        }
+        for (let ring = 0; ring < rings; ring++) {
+            let front = [];
+            for (const i of roi) {
+                const v = this.mesh.vertices[i];
+                if (v === undefined || v.h === null) {
+                    continue;
+                }
+                for (const w of v.getVertexNeighbors()) {
+                    front.push(w.ID);
+                }
+            }
+            for (const i of front) {
+                roi.add(i);
+            }
+        }
+    }
+
+    /**
+     * Empty the handles, anchors, and region of interest,
+     * keeping any edit that's in progress
+     */
+    clearEditSelection() {
+        this.commitEdit();
+        for (const key in this.editSets) {
+            this.editSets[key].clear();
+        }
+    }
+
+    /**
+     * Keep the mesh the way it has been deformed, so that the
+     * next drag starts from this shape
+     */
+    commitEdit() {
+        this.editor = null;
+        this.editTargets = null;
+    }
+
+    /**
+     * Put the mesh back the way it was before the handles were dragged
+     */
+    cancelEdit() {
+        if (this.editor !== null) {
+            this.editor.reset();
+        }
+        this.commitEdit();
+    }
+
+    /**
+     * Move the handles by a mouse drag, starting a new edit with the
+     * method chosen in the editing menu if there isn't one in progress,
+     * and update the deformation
+     *
+     * @param {float} dX Change in the mouse x position, in pixels
+     * @param {float} dY Change in the mouse y position, in pixels
+     */
+    dragHandles(dX, dY) {
+        const N = this.mesh.vertices.length;
+        function inMesh(set) {
+            return Array.from(set).filter(function(i) {
+                return i < N;
+            });
+        }
+        const handles = inMesh(this.editSets.handles);
+        if (this.editor === null) {
+            const anchors = inMesh(this.editSets.anchors);
+            const roi = inMesh(this.editSets.roi);
+            try {
+                if (this.editing.method == 'arap') {
+                    this.editor = new ARAPEditor(this.mesh, handles, anchors, roi, this.editing.weighting);
+                }
+                else {
+                    this.editor = new LaplacianEditor(this.mesh, handles, anchors, roi, this.editing.weighting);
+                }
+            }
+            catch (err) {
+                this.editDragging = false;
+                this.dragging = false;
+                alert(err);
+                return;
+            }
+            let editor = this.editor;
+            this.editTargets = handles.map(function(i) {
+                return glMatrix.vec3.clone(editor.rest[i]);
+            });
+        }
+        const targets = this.editTargets;
+        function centroid(positions) {
+            let c = glMatrix.vec3.create();
+            for (const p of positions) {
+                glMatrix.vec3.scaleAndAdd(c, c, p, 1/positions.length);
+            }
+            return c;
+        }
+        if (this.editing.drag == 'translate') {
+            // Move in the plane of the view, at the depth of the handles
+            const c = centroid(targets);
+            let toC = glMatrix.vec3.create();
+            glMatrix.vec3.subtract(toC, c, this.camera.pos);
+            let T = glMatrix.vec3.create();
+            glMatrix.vec3.cross(T, this.camera.right, this.camera.up);
+            const s = this.getPixelSize(Math.abs(glMatrix.vec3.dot(toC, T)));
+            let move = glMatrix.vec3.create();
+            glMatrix.vec3.scaleAndAdd(move, move, this.camera.right, s*dX);
+            glMatrix.vec3.scaleAndAdd(move, move, this.camera.up, -s*dY);
+            for (const p of targets) {
+                glMatrix.vec3.add(p, p, move);
+            }
+        }
+        else {
+            // Turn about the view direction, around the anchors if there are any
+            let anchors = inMesh(this.editSets.anchors);
+            let pivot = centroid(targets);
+            if (anchors.length > 0) {
+                let rest = this.editor.rest;
+                pivot = centroid(anchors.map(function(i) {
+                    return rest[i];
+                }));
+            }
+            let axis = glMatrix.vec3.create();
+            glMatrix.vec3.cross(axis, this.camera.right, this.camera.up);
+            let R = glMatrix.mat4.create();
+            glMatrix.mat4.fromRotation(R, 0.01*dX, axis);
+            for (const p of targets) {
+                glMatrix.vec3.subtract(p, p, pivot);
+                glMatrix.vec3.transformMat4(p, p, R);
+                glMatrix.vec3.add(p, p, pivot);
+            }
+        }
+        if (this.editing.method == 'arap') {
+            this.editing.energy = this.editor.deform(targets, this.editing.iterations);
+        }
+        else {
+            this.editor.deform(targets);
+        }
+    }
+
+    /**
+     * Draw the region of interest, anchors, and handles as points
+     */
+    drawEditSelection() {
+        const N = this.mesh.vertices.length;
+        const sets = [['roi', [0, 0.8, 0]], ['anchors', [0, 0.3, 1]], ['handles', [1, 0, 0]]];
+        for (const [key, color] of sets) {
+            for (const i of this.editSets[key]) {
+                if (i < N) {
+                    this.drawer.drawPoint(this.mesh.vertices[i].pos, color);
+                }
+            }
+        }
+    }
+
+    /////////////////////////////////////////////////////
+    //                MOUSE CALLBACKS                  //
+    /////////////////////////////////////////////////////
+
+    /**
+     * React to a click happening.  Left clicks paint a selection
+     * or start dragging the handles in surface editing, or else
+     * pick the source or target of the shortest path
+     * @param {mouse event} e
+     */
+    makeClick(e) {
+        let evt = (e == null ? event:e);
+        super.makeClick(evt);
+        if (this.clickType == "LEFT") {
+            if (this.editing.select != 'none') {
+                this.editDragging = true;
+                this.paintEditSelection(evt);
+            }
+            else if (this.editing.drag != 'off') {
+                this.editDragging = true;
+            }
+            else if (this.shortestPath.pick != 'none') {
+                this.pickPathVertex(evt);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * React to a mouse being dragged, which paints a selection or
+     * moves the handles instead of the camera while editing
+     * @param {mouse event} evt 
+     */
+    clickerDragged(evt) {
+        if (!this.editDragging) {
+            return super.clickerDragged(evt);
+        }
+        evt.preventDefault();
+        let mousePos = this.getMousePos(evt);
+        let dX = mousePos.X - this.lastX;
+        let dY = mousePos.Y - this.lastY;
+        this.lastX = mousePos.X;
+        this.lastY = mousePos.Y;
+        if (this.editing.select != 'none') {
+            this.paintEditSelection(evt);
+        }
+        else if (this.editing.drag != 'off') {
+            this.dragHandles(dX, dY);
+        }
+        requestAnimFrame(this.repaint.bind(this));
+        return false;
+    }
+
+    /**
+     * React to a click being released
+     * @param {mouse event} evt 
+     */
+    releaseClick(evt) {
+        this.editDragging = false;
+        return super.releaseClick(evt);
+    }
+
+    /**
+     * React to a mouse leaving the window
+     * @param {mouse event} evt 
+     */
+    mouseOut(evt) {
+        this.editDragging = false;
+        return super.mouseOut(evt);
+    }
+
+    /**
+     * Remember the vertex colors so that they can be put back
+     * by restoreVertexColors, unless they have been already
+     */
+    saveVertexColors() {
+        if (this.savedColors === undefined) {
+            this.savedColors = new Map();
+            for (const v of this.mesh.vertices) {
+                this.savedColors.set(v, v.color);
+            }
+        }
+    }
+
+    /**
+     * Put back the vertex colors from before setVertexColors was called
+     */
+    restoreVertexColors() {
+        if (this.savedColors === undefined) {
+            return;
+        }
+        for (const v of this.mesh.vertices) {
+            if (this.savedColors.has(v)) {
+                v.color = this.savedColors.get(v);
+            }
+            else {
+                v.color = [0.5, 0.5, 0.5];
+            }
+        }
+        this.savedColors = undefined;
+        this.mesh.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Write the curvature selected in the curvature menu into the
+     * vertex colors, and update the total Gaussian curvature
+     */
+    applyCurvatureColors() {
+        let opts = this.curvature;
+        let total = this.mesh.getTotalGaussianCurvature();
+        opts.totalGaussian = total;
+        opts.eulerCharacteristic = total/(2*Math.PI);
+        if (opts.display == 'none') {
+            this.restoreVertexColors();
+            return;
+        }
+        let values = this.mesh.vertices.map(function(v) {
+            if (v.h === null) {
+                return 0;
+            }
+            return opts.display == 'gaussian' ? v.getGaussianCurvature() : v.getMeanCurvature();
+        });
+        this.setVertexColors(values, opts.colormap, opts.clampPercentile);
+    }
+
+    /**
+     * Recompute the principal curvatures of every vertex and the
+     * curvature lines, if either is being shown
+     */
+    updatePrincipalCurvatures() {
+        let opts = this.principal;
+        let mesh = this.mesh;
+        this.principalCurvatures = null;
+        this.curvatureLines = [];
+        if (!opts.showDirections && !opts.showLines) {
+            return;
+        }
+        this.meanEdgeLength = mesh.getTriangleQuality().meanEdgeLength;
+        this.principalCurvatures = mesh.vertices.map(function(v) {
+            if (v.h === null) {
+                return null;
+            }
+            return v.getPrincipalCurvatures();
+        });
+        if (opts.showLines && mesh.faces.length > 0) {
+            // Seed lines on evenly spaced faces
+            let stride = Math.max(1, Math.floor(mesh.faces.length/opts.numLines));
+            for (let i = 0; i < mesh.faces.length; i += stride) {
+                let line = mesh.traceCurvatureLine(mesh.faces[i], this.principalCurvatures, 
+                                                   opts.lineDirection == 'max', mesh.faces.length);
+                this.curvatureLines.push(line);
+            }
+        }
+    }
+
+    /**
+     * Draw the principal directions at each vertex as crosses, with
+     * the direction of maximum curvature in red and minimum in blue,
+     * as well as any traced curvature lines
+     */
+    drawPrincipalCurvatures() {
+        let drawer = this.drawer;
+        let opts = this.principal;
+        if (opts.showDirections && this.principalCurvatures !== null) {
+            let mesh = this.mesh;
+            let len = opts.directionScale*this.meanEdgeLength;
+            for (let i = 0; i < this.principalCurvatures.length; i++) {
+                let pc = this.principalCurvatures[i];
+                if (pc === null || i >= mesh.vertices.length) {
+                    continue;
+                }
+                let p = mesh.vertices[i].pos;
+                let dirs = [[pc.d1, [1, 0, 0]], [pc.d2, [0, 0, 1]]];
+                for (const [d, color] of dirs) {
+                    let p1 = glMatrix.vec3.create();
+                    let p2 = glMatrix.vec3.create();
+                    glMatrix.vec3.scaleAndAdd(p1, p, d, -len/2);
+                    glMatrix.vec3.scaleAndAdd(p2, p, d, len/2);
+                    glMatrix.vec3.scale(p1, p1, DRAW_OFFSET);
+                    glMatrix.vec3.scale(p2, p2, DRAW_OFFSET);
+                    drawer.drawLine(p1, p2, color);
+                }
+            }
+        }
+        if (opts.showLines) {
+            for (const line of this.curvatureLines) {
+                for (let i = 0; i < line.length-1; i++) {
+                    let p1 = glMatrix.vec3.create();
+                    let p2 = glMatrix.vec3.create();
+                    glMatrix.vec3.scale(p1, line[i], DRAW_OFFSET);
+                    glMatrix.vec3.scale(p2, line[i+1], DRAW_OFFSET);
+                    drawer.drawLine(p1, p2, [1, 1, 0]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Recompute the geodesic distances from the vertex selected in
+     * the vertex tests menu, and show them in the vertex colors
+     */
+    updateGeodesicDistances() {
+        let opts = this.geodesic;
+        this.geodesicDistances = null;
+        if (!opts.show || this.mesh.vertices.length == 0) {
+            this.restoreVertexColors();
+            return;
+        }
+        let source = Math.min(this.vertTest.vertexIndex, this.mesh.vertices.length-1);
+        try {
+            this.geodesicDistances = getGeodesicDistances(this.mesh, [source], opts.mode, opts.timeFactor);
+        }
+        catch (err) {
+            alert(err);
+            return;
+        }
+        let maxDist = 0;
+        for (const d of this.geodesicDistances) {
+            if (d < Infinity) {
+                maxDist = Math.max(maxDist, d);
+            }
+        }
+        opts.maxDistance = maxDist;
+        if (maxDist == 0) {
+            maxDist = 1;
+        }
+        // Map [0, maxDist] to [-1, 1] for setVertexColors, and show
+        // unreachable vertices at the far end of the colormap
+        let values = this.geodesicDistances.map(function(d) {
+            return 2*Math.min(d, maxDist)/maxDist - 1;
+        });
+        this.setVertexColors(values, opts.colormap, 100);
+    }
+
+    /**
+     * Draw evenly spaced level sets of the geodesic distance function
+     * as line segments across the triangles
+     */
+    drawGeodesicIsolines() {
+        let opts = this.geodesic;
+        let dists = this.geodesicDistances;
+        if (!opts.show || dists === null || opts.numIsolines == 0 || opts.maxDistance == 0) {
+            return;
+        }
+        let drawer = this.drawer;
+        let spacing = opts.maxDistance/(opts.numIsolines + 1);
+        for (const f of this.mesh.faces) {
+            let vs = f.getVertices();
+            if (vs.length != 3 || vs.some(function(v) { return v.ID >= dists.length || dists[v.ID] == Infinity; })) {
+                continue;
+            }
+            let ds = vs.map(function(v) {
+                return dists[v.ID];
+            });
+            let lo = Math.ceil(Math.min(...ds)/spacing);
+            let hi = Math.floor(Math.max(...ds)/spacing);
+            for (let level = Math.max(lo, 1); level <= hi; level++) {
+                let iso = level*spacing;
+                let points = [];
+                for (let k = 0; k < 3; k++) {
+                    let d1 = ds[k];
+                    let d2 = ds[(k+1)%3];
+                    if ((d1 < iso) != (d2 < iso)) {
+                        let p = glMatrix.vec3.create();
+                        glMatrix.vec3.lerp(p, vs[k].pos, vs[(k+1)%3].pos, (iso - d1)/(d2 - d1));
+                        glMatrix.vec3.scale(p, p, DRAW_OFFSET);
+                        points.push(p);
+                    }
+                }
+                if (points.length == 2) {
+                    drawer.drawLine(points[0], points[1], [0, 0, 0]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Recompute the shortest path between the two vertices
+     * chosen in the shortest path menu
+     */
+    updateShortestPath() {
+        let opts = this.shortestPath;
+        let N = this.mesh.vertices.length;
+        this.path = null;
+        opts.length = 0;
+        opts.vertexIDs = '';
+        if (!opts.show || N == 0) {
+            return;
+        }
+        opts.source = Math.max(0, Math.min(Math.round(opts.source), N-1));
+        opts.target = Math.max(0, Math.min(Math.round(opts.target), N-1));
+        try {
+            if (opts.type == 'edge') {
+                this.path = getShortestEdgePath(this.mesh, opts.source, opts.target);
+            }
+            else {
+                this.path = getStraightenedPath(this.mesh, opts.source, opts.target);
+            }
+        }
+        catch (err) {
+            alert(err);
+            return;
+        }
+        if (this.path === null) {
+            opts.vertexIDs = 'unreachable';
+            return;
+        }
+        opts.length = this.path.length;
+        opts.vertexIDs = this.path.vertices.join(' ');
+    }
+
+    /**
+     * Draw the shortest path as a polyline, with points at
+     * the source, the target, and any vertices it passes through
+     */
+    drawShortestPath() {
+        if (!this.shortestPath.show || this.path === null) {
+            return;
+        }
+        let drawer = this.drawer;
+        let points = this.path.points;
+        for (let i = 0; i < points.length-1; i++) {
+            let p1 = glMatrix.vec3.create();
+            let p2 = glMatrix.vec3.create();
+            glMatrix.vec3.scale(p1, points[i], DRAW_OFFSET);
+            glMatrix.vec3.scale(p2, points[i+1], DRAW_OFFSET);
+            drawer.drawLine(p1, p2, [1, 0.5, 0]);
+        }
+        for (const i of this.path.vertices) {
+            if (i >= this.mesh.vertices.length) {
+                continue;
+            }
+            let p = glMatrix.vec3.create();
+            glMatrix.vec3.scale(p, this.mesh.vertices[i].pos, DRAW_OFFSET);
+            drawer.drawPoint(p, [1, 0.5, 0]);
+        }
+    }
+
+    /**
+     * Recompute the connected components, list them in the components
+     * menu, and give each one its own color if they are being shown
+     * 
+     * @param {dat.GUI} menu The menu in which to list the components
+     */
+    updateComponents(menu) {
+        for (const controller of this.componentControllers) {
+            controller.remove();
+        }
+        this.componentControllers = [];
+        this.componentList = {};
+        if (!this.components.show) {
+            this.restoreVertexColors();
+            return;
+        }
+        let res = this.mesh.getConnectedComponents();
+        // List up to 20 of the largest components
+        for (let i = 0; i < res.components.length && i < 20; i++) {
+            let c = res.components[i];
+            let key = "Component " + i;
+            this.componentList[key] = c.faces.length + " faces, area " + c.area.toFixed(3) + 
+                                      ", genus " + c.genus + ", " + c.boundaries + " boundaries";
+            this.componentControllers.push(menu.add(this.componentList, key));
+        }
+        // Spread the hues out with the golden ratio
+        this.saveVertexColors();
+        for (const v of this.mesh.vertices) {
+            let hue = (res.vertexLabels[v.ID]*0.618033988749895) % 1;
+            v.color = [0, 1, 2].map(function(k) {
+                let x = Math.abs(((hue*6 + 4*k) % 6) - 3) - 1;
+                return 0.2 + 0.7*Math.max(0, Math.min(1, x));
+            });
+        }
+        this.mesh.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Recompute the integral properties of the mesh in the statistics menu
+     */
+    updateStats() {
+        let stats = this.stats;
+        if (!stats.live) {
+            return;
+        }
+        let props = this.mesh.getIntegralProperties(stats.centroidOf == 'volume');
+        function format(v) {
+            return Array.from(v).map(function(x) {
+                return x.toPrecision(4);
+            }).join(', ');
+        }
+        stats.surfaceArea = props.surfaceArea;
+        stats.volume = props.volume;
+        stats.centroid = format(props.centroid);
+        stats.inertiaX = format(props.inertia[0]);
+        stats.inertiaY = format(props.inertia[1]);
+        stats.inertiaZ = format(props.inertia[2]);
+    }
+
     /**
      * Code for showing result of face-related traversals
      * @param {HEdge} edge Half-edge
@@ -281,6 +1602,46 @@ class HalfEdgeCanvas extends BaseCanvas {
         }
     }
 
+    /**
+     * Highlight the vertices, edges, and faces involved in
+     * the violations found by the last call to mesh.validate()
+     */
+    drawValidationErrors() {
+        let drawer = this.drawer;
+        let canvas = this;
+        function drawHedge(h, color) {
+            if (h.head === null || h.pair === null || h.pair.head === null) {
+                return;
+            }
+            let p1 = glMatrix.vec3.create();
+            let p2 = glMatrix.vec3.create();
+            glMatrix.vec3.scale(p1, h.pair.head.pos, DRAW_OFFSET);
+            glMatrix.vec3.scale(p2, h.head.pos, DRAW_OFFSET);
+            drawer.drawLine(p1, p2, color);
+        }
+        for (const violation of this.validationErrors) {
+            for (const v of violation.vertices) {
+                let p = glMatrix.vec3.create();
+                glMatrix.vec3.scale(p, v.pos, DRAW_OFFSET);
+                drawer.drawPoint(p, [1, 0, 0]);
+            }
+            for (const h of violation.edges) {
+                drawHedge(h, [1, 0, 0]);
+            }
+            for (const f of violation.faces) {
+                // Walk a bounded number of steps, since the loop may not close
+                let h = f.h;
+                for (let i = 0; i < canvas.mesh.edges.length && h !== null; i++) {
+                    drawHedge(h, [1, 0.5, 0]);
+                    h = h.next;
+                    if (h === f.h) {
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Code for drawing the mesh and debugging information
      */
@@ -323,6 +1684,17 @@ class HalfEdgeCanvas extends BaseCanvas {
         }
         this.lights.push({pos:this.camera.pos, color:[1, 1, 1], atten:[1, 0, 0]});
         this.shaderToUse = this.shaders.blinnPhong;
+        if (this.param.showChecker) {
+            if (!('shaderReady' in this.shaders.checkerboard)) {
+                // Wait until the promise has resolved, then draw again
+                this.shaders.checkerboard.then(canvas.repaint.bind(canvas));
+                return;
+            }
+            this.shaderToUse = this.shaders.checkerboard;
+        }
+        if (this.mesh.needsDisplayUpdate) {
+            this.updateStats();
+        }
         this.mesh.render(this);
 
         
@@ -347,6 +1719,17 @@ class HalfEdgeCanvas extends BaseCanvas {
             }
             this.genus = this.mesh.getGenus();
         }
+        if (this.orientation.showSeams) {
+            for (const seam of this.updateOrientation()) {
+                this.drawEdge(seam[0], [1, 0.5, 0]);
+                this.drawEdge(seam[1], [1, 0.5, 0]);
+            }
+        }
+        this.drawValidationErrors();
+        this.drawPrincipalCurvatures();
+        this.drawGeodesicIsolines();
+        this.drawShortestPath();
+        this.drawEditSelection();
         drawer.repaint(this.camera);
     }
 }
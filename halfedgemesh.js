@@ -36,6 +36,15 @@ class HEdge {
         }
         return ret;
     }
+
+    /**
+     * Return whether this half-edge or its pair lies on a boundary
+     * 
+     * @returns {boolean} True if either side of this edge has no face
+     */
+    isBoundary() {
+        return this.face === null || this.pair.face === null;
+    }
 }
 
 class HFace {
@@ -92,16 +101,14 @@ class HFace {
      * @returns {float} The area of this face
      */
     getArea() {
-        let edges = this.getEdges();
+        let vertices = this.getVertices();
         let result = vec3.fromValues(0,0,0);
 
-        for(let i = 0; i<edges.length-2; i++) {
+        // Add up the vector areas of a fan of triangles from the first vertex
+        for(let i = 1; i<vertices.length-1; i++) {
             let cross = vec3.create();
-            let v1 = vec3.create();
-            let v2 = vec3.create();
-
-            v1 = getVectorBetweenPoints(edges[i].head.pos, edges[i].prev.head.pos);
-            v2 = getVectorBetweenPoints(edges[i+1].head.pos, edges[i+1].prev.head.pos);
+            let v1 = getVectorBetweenPoints(vertices[i].pos, vertices[0].pos);
+            let v2 = getVectorBetweenPoints(vertices[i+1].pos, vertices[0].pos);
 
             vec3.cross(cross, v1, v2);
             vec3.scale(cross, cross, 0.5);
@@ -112,23 +119,52 @@ class HFace {
     }
 
     /**
-     * Get the normal of this face, assuming it is flat
+     * Get the normal of this face.  This uses Newell's method, so it
+     * is also right for concave faces and fits non-planar ones
      * 
      * @returns {vec3} The normal of this face
      */
     getNormal() {
-        let normal = vec3.create();
-        let v1 = vec3.create();
-        let v2 = vec3.create();
-
-        v1 = getVectorBetweenPoints(this.h.head.pos, this.h.prev.head.pos);
-        v2 = getVectorBetweenPoints(this.h.next.head.pos, this.h.head.pos);
-
-        vec3.cross(normal, v1, v2);
+        let normal = getNewellNormal(this.getVertices().map(function(v) {
+            return v.pos;
+        }));
         vec3.normalize(normal, normal);
 
         return normal;
     }
+
+    /**
+     * Triangulate this face by ear clipping on its best fit plane.
+     * The result is cached, and it is only recomputed once the
+     * vertices of the face change or move
+     * 
+     * @returns {list} A list of [i, j, k] triples indexing into
+     *                 the list returned by getVertices()
+     */
+    getTriangles() {
+        const vertices = this.getVertices();
+        if (vertices.length <= 3) {
+            return vertices.length == 3 ? [[0, 1, 2]] : [];
+        }
+        let cache = this.triangleCache;
+        let valid = cache !== undefined && cache.vertices.length == vertices.length;
+        for (let i = 0; valid && i < vertices.length; i++) {
+            const p = vertices[i].pos;
+            valid = cache.vertices[i] === vertices[i] && cache.pos[i*3] == p[0] &&
+                    cache.pos[i*3+1] == p[1] && cache.pos[i*3+2] == p[2];
+        }
+        if (!valid) {
+            let pos = new Float64Array(vertices.length*3);
+            vertices.forEach(function(v, i) {
+                pos.set(v.pos, i*3);
+            });
+            cache = {'vertices':vertices, 'pos':pos, 'tris':triangulatePolygon(vertices.map(function(v) {
+                return v.pos;
+            }))};
+            this.triangleCache = cache;
+        }
+        return cache.tris;
+    }
 }
 
 class HVertex {
@@ -145,6 +181,42 @@ class HVertex {
         this.pos = pos; // Position of this vertex (Type vec3)
         this.color = color; // Color of this vertex (Type vec3)
         this.h = null; // Any hedge on this vertex (Type Hedge)
+        this.texCoords = [0, 0]; // Texture coordinates of this vertex (Type list of 2 floats)
+    }
+
+    /**
+     * Compute all of the half-edges whose tail is this vertex by
+     * rotating around it.  Unlike the other traversals, this also
+     * walks across boundary half-edges
+     * 
+     * @returns {list} A list of HEdge objects leaving this vertex
+     */
+    getOutgoingEdges() {
+        if (this.h === null) {
+            return [];
+        }
+        let edges = [];
+        let edge = this.h;
+        do {
+            edges.push(edge);
+            edge = edge.prev.pair;
+        } while (edge != this.h);
+        return edges;
+    }
+
+    /**
+     * Return whether this vertex lies on a boundary
+     * 
+     * @returns {boolean} True if any edge leaving this vertex has no face
+     */
+    isBoundary() {
+        let edges = this.getOutgoingEdges();
+        for (let edge of edges) {
+            if (edge.face === null) {
+                return true;
+            }
+        }
+        return false;
     }
 
     /**
@@ -220,6 +292,239 @@ class HVertex {
         return faces;
     }
 
+    /**
+     * Compute weights of the edges to this vertex's neighbors for
+     * a discrete Laplacian.  The weights are not normalized
+     * 
+     * @param {string} weighting One of
+     *                  'uniform': Every neighbor has weight 1
+     *                  'cotangent': (cot(alpha) + cot(beta))/2, where alpha
+     *                               and beta are the angles opposite the edge
+     *                  'meanvalue': (tan(gamma1/2) + tan(gamma2/2))/length, where
+     *                               gamma1 and gamma2 are the angles at this
+     *                               vertex on either side of the edge
+     *                  All but 'uniform' assume the faces are triangles
+     * 
+     * @returns {object} {'neighbors': List of neighboring HVertex objects,
+     *                    'weights': List of corresponding weights}
+     */
+    getLaplacianWeights(weighting) {
+        const v = this;
+        const out = this.getOutgoingEdges();
+        const neighbors = out.map(function(h) {
+            return h.head;
+        });
+        const weights = out.map(function(h) {
+            if (weighting == 'cotangent') {
+                let w = 0;
+                for (const e of [h, h.pair]) {
+                    if (e.face !== null) {
+                        // Angle at the corner opposite this edge
+                        const c = e.next.head.pos;
+                        const u1 = getVectorBetweenPoints(e.head.pos, c);
+                        const u2 = getVectorBetweenPoints(e.pair.head.pos, c);
+                        let cross = vec3.create();
+                        vec3.cross(cross, u1, u2);
+                        w += 0.5*vec3.dot(u1, u2)/Math.max(vec3.length(cross), 1e-12);
+                    }
+                }
+                return w;
+            }
+            else if (weighting == 'meanvalue') {
+                const d = getVectorBetweenPoints(h.head.pos, v.pos);
+                const len = vec3.length(d);
+                let w = 0;
+                // The faces on either side of the edge, with the
+                // other neighbor of v on that face
+                const others = [];
+                if (h.face !== null) {
+                    others.push(h.next.head);
+                }
+                if (h.pair.face !== null) {
+                    others.push(h.pair.next.head);
+                }
+                for (const u of others) {
+                    const d2 = getVectorBetweenPoints(u.pos, v.pos);
+                    const cos = vec3.dot(d, d2)/(len*vec3.length(d2));
+                    const gamma = Math.acos(Math.max(-1, Math.min(1, cos)));
+                    w += Math.tan(gamma/2);
+                }
+                return w/len;
+            }
+            return 1;
+        });
+        return {'neighbors':neighbors, 'weights':weights};
+    }
+
+    /**
+     * Compute the barycentric area of this vertex, which is a third
+     * of the area of the faces attached to it
+     * 
+     * @returns {float} The area
+     */
+    getBarycentricArea() {
+        let area = 0;
+        for (const h of this.getOutgoingEdges()) {
+            if (h.face !== null) {
+                area += h.face.getArea()/h.face.getEdges().length;
+            }
+        }
+        return area;
+    }
+
+    /**
+     * Compute the angle defect at this vertex, which is 2*pi minus the
+     * sum of the angles at this vertex for an interior vertex, and pi
+     * minus the sum of the angles for a boundary vertex.  The sum of
+     * the angle defects over a mesh is 2*pi times its Euler characteristic
+     * 
+     * @returns {float} The angle defect
+     */
+    getAngleDefect() {
+        let sum = 0;
+        let boundary = false;
+        for (const h of this.getOutgoingEdges()) {
+            if (h.face === null) {
+                boundary = true;
+                continue;
+            }
+            const u1 = getVectorBetweenPoints(h.head.pos, this.pos);
+            const u2 = getVectorBetweenPoints(h.prev.pair.head.pos, this.pos);
+            const cos = vec3.dot(u1, u2)/(vec3.length(u1)*vec3.length(u2));
+            sum += Math.acos(Math.max(-1, Math.min(1, cos)));
+        }
+        return (boundary ? Math.PI : 2*Math.PI) - sum;
+    }
+
+    /**
+     * Estimate the Gaussian curvature at this vertex as the angle
+     * defect divided by the barycentric area.  At a boundary vertex this
+     * is the geodesic curvature of the boundary instead
+     * 
+     * @returns {float} The Gaussian curvature
+     */
+    getGaussianCurvature() {
+        const area = this.getBarycentricArea();
+        if (area == 0) {
+            return 0;
+        }
+        return this.getAngleDefect()/area;
+    }
+
+    /**
+     * Estimate the mean curvature at this vertex from the cotangent
+     * Laplacian of the vertex positions, which is -2H times the normal.
+     * The sign is positive where the surface curves away from the normal,
+     * as on a sphere with outward normals.  The cotangent Laplacian
+     * is not defined on the boundary, so this is 0 for boundary vertices
+     * 
+     * @returns {float} The mean curvature
+     */
+    getMeanCurvature() {
+        const area = this.getBarycentricArea();
+        if (this.h === null || area == 0 || this.isBoundary()) {
+            return 0;
+        }
+        const lap = this.getLaplacianWeights('cotangent');
+        let Lp = vec3.create();
+        for (let i = 0; i < lap.neighbors.length; i++) {
+            let d = getVectorBetweenPoints(lap.neighbors[i].pos, this.pos);
+            vec3.scaleAndAdd(Lp, Lp, d, lap.weights[i]/area);
+        }
+        let n = this.getNormal();
+        vec3.normalize(n, n);
+        return -vec3.dot(Lp, n)/2;
+    }
+
+    /**
+     * Estimate the principal curvatures and directions at this vertex
+     * by fitting a quadratic height function z = ax^2 + bxy + cy^2 + dx + ey
+     * over the tangent plane to the vertices in its 2-ring, and taking
+     * the eigenvalues and eigenvectors of the resulting shape operator.
+     * As with getMeanCurvature, curvatures are positive where the surface
+     * curves away from the normal
+     * 
+     * @returns {object} {'k1': Maximum principal curvature,
+     *                    'k2': Minimum principal curvature,
+     *                    'd1': Unit direction (vec3) of maximum curvature,
+     *                    'd2': Unit direction (vec3) of minimum curvature},
+     *                   or null if there are too few neighbors for a fit
+     */
+    getPrincipalCurvatures() {
+        // Step 1: Gather the 2-ring
+        let ring = new Set();
+        for (const h of this.getOutgoingEdges()) {
+            ring.add(h.head);
+            for (const e of h.head.getOutgoingEdges()) {
+                ring.add(e.head);
+            }
+        }
+        ring.delete(this);
+        if (ring.size < 5) {
+            return null;
+        }
+
+        // Step 2: Make a local frame
+        let n = this.getNormal();
+        vec3.normalize(n, n);
+        let t1 = vec3.fromValues(1, 0, 0);
+        if (Math.abs(n[0]) > 0.9) {
+            t1 = vec3.fromValues(0, 1, 0);
+        }
+        vec3.scaleAndAdd(t1, t1, n, -vec3.dot(t1, n));
+        vec3.normalize(t1, t1);
+        let t2 = vec3.create();
+        vec3.cross(t2, n, t1);
+
+        // Step 3: Least squares fit with the normal equations
+        let A = [];
+        let b = [];
+        for (let i = 0; i < 5; i++) {
+            A.push([0, 0, 0, 0, 0]);
+            b.push(0);
+        }
+        for (const u of ring) {
+            const d = getVectorBetweenPoints(u.pos, this.pos);
+            const x = vec3.dot(d, t1);
+            const y = vec3.dot(d, t2);
+            const z = vec3.dot(d, n);
+            const row = [x*x, x*y, y*y, x, y];
+            for (let i = 0; i < 5; i++) {
+                for (let j = 0; j < 5; j++) {
+                    A[i][j] += row[i]*row[j];
+                }
+                b[i] += row[i]*z;
+            }
+        }
+        const coeffs = solveDenseSystem(A, b);
+        if (coeffs === null) {
+            return null;
+        }
+
+        // Step 4: Eigen decomposition of the shape operator -[[2a, b], [b, 2c]]
+        const s11 = -2*coeffs[0];
+        const s12 = -coeffs[1];
+        const s22 = -2*coeffs[2];
+        const mean = (s11 + s22)/2;
+        const disc = Math.sqrt((s11 - s22)*(s11 - s22)/4 + s12*s12);
+        const k1 = mean + disc;
+        const k2 = mean - disc;
+        let x = s12;
+        let y = k1 - s11;
+        if (Math.abs(x) + Math.abs(y) < 1e-12) {
+            // Already diagonal
+            x = s11 >= s22 ? 1 : 0;
+            y = s11 >= s22 ? 0 : 1;
+        }
+        let d1 = vec3.create();
+        vec3.scale(d1, t1, x);
+        vec3.scaleAndAdd(d1, d1, t2, y);
+        vec3.normalize(d1, d1);
+        let d2 = vec3.create();
+        vec3.cross(d2, n, d1);
+        return {'k1':k1, 'k2':k2, 'd1':d1, 'd2':d2};
+    }
+
     /**
      * Compute the normal of this vertex as an area-weighted
      * average of the normals of the faces attached to this vertex
@@ -282,6 +587,580 @@ function linkEdges(h1, h2) {
     h2.pair = h1;
 }
 
+/**
+ * A binary min heap of values ordered by numerical keys
+ */
+class MinHeap {
+    constructor() {
+        this.keys = [];
+        this.values = [];
+    }
+
+    /**
+     * @returns {int} Number of items in the heap
+     */
+    size() {
+        return this.keys.length;
+    }
+
+    /**
+     * Swap two entries in the heap
+     * @param {int} i Index of first entry
+     * @param {int} j Index of second entry
+     */
+    swap(i, j) {
+        const key = this.keys[i];
+        const value = this.values[i];
+        this.keys[i] = this.keys[j];
+        this.values[i] = this.values[j];
+        this.keys[j] = key;
+        this.values[j] = value;
+    }
+
+    /**
+     * Add a value to the heap
+     * @param {float} key Priority of the value (smaller comes out first)
+     * @param {any} value The value
+     */
+    push(key, value) {
+        let i = this.keys.length;
+        this.keys.push(key);
+        this.values.push(value);
+        while (i > 0) {
+            const parent = (i-1) >> 1;
+            if (this.keys[parent] <= this.keys[i]) {
+                break;
+            }
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    /**
+     * Remove the value with the smallest key
+     * @returns {object} {'key': The smallest key, 'value': Its value},
+     *                   or null if the heap is empty
+     */
+    pop() {
+        if (this.keys.length == 0) {
+            return null;
+        }
+        const ret = {'key':this.keys[0], 'value':this.values[0]};
+        const lastKey = this.keys.pop();
+        const lastValue = this.values.pop();
+        const N = this.keys.length;
+        if (N > 0) {
+            this.keys[0] = lastKey;
+            this.values[0] = lastValue;
+            let i = 0;
+            while (true) {
+                let smallest = i;
+                const l = 2*i+1;
+                const r = 2*i+2;
+                if (l < N && this.keys[l] < this.keys[smallest]) {
+                    smallest = l;
+                }
+                if (r < N && this.keys[r] < this.keys[smallest]) {
+                    smallest = r;
+                }
+                if (smallest == i) {
+                    break;
+                }
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return ret;
+    }
+}
+
+/**
+ * Add the quadric of a plane a*x + b*y + c*z + d = 0 to a quadric
+ * stored as the upper triangle of a symmetric 4x4 matrix
+ * 
+ * @param {Float64Array} Q The quadric [aa, ab, ac, ad, bb, bc, bd, cc, cd, dd]
+ * @param {glMatrix.vec3} n Unit normal [a, b, c] of the plane
+ * @param {glMatrix.vec3} p A point on the plane
+ * @param {float} weight Weight of the plane
+ */
+function addPlaneQuadric(Q, n, p, weight) {
+    const d = -vec3.dot(n, p);
+    const v = [n[0], n[1], n[2], d];
+    let idx = 0;
+    for (let i = 0; i < 4; i++) {
+        for (let j = i; j < 4; j++) {
+            Q[idx] += weight*v[i]*v[j];
+            idx++;
+        }
+    }
+}
+
+/**
+ * Evaluate the squared distance error v^T Q v of a point under a quadric
+ * 
+ * @param {Float64Array} Q The quadric (see addPlaneQuadric)
+ * @param {glMatrix.vec3} p The point
+ * 
+ * @returns {float} The error
+ */
+function evalQuadric(Q, p) {
+    const x = p[0], y = p[1], z = p[2];
+    return Q[0]*x*x + 2*Q[1]*x*y + 2*Q[2]*x*z + 2*Q[3]*x + 
+           Q[4]*y*y + 2*Q[5]*y*z + 2*Q[6]*y + 
+           Q[7]*z*z + 2*Q[8]*z + Q[9];
+}
+
+/**
+ * Find the point that minimizes the error of a quadric
+ * 
+ * @param {Float64Array} Q The quadric (see addPlaneQuadric)
+ * 
+ * @returns {glMatrix.vec3} The optimal point, or null if the
+ *                          quadric is (nearly) singular
+ */
+function getQuadricMinimizer(Q) {
+    const a = Q[0], b = Q[1], c = Q[2];
+    const e = Q[4], f = Q[5], i = Q[7];
+    const det = a*(e*i - f*f) - b*(b*i - f*c) + c*(b*f - e*c);
+    const scale = Math.abs(a) + Math.abs(e) + Math.abs(i);
+    if (Math.abs(det) < 1e-10*scale*scale*scale || scale == 0) {
+        return null;
+    }
+    // Solve A x = -[Q[3], Q[6], Q[8]] with Cramer's rule
+    const r0 = -Q[3], r1 = -Q[6], r2 = -Q[8];
+    const x = (r0*(e*i - f*f) - b*(r1*i - f*r2) + c*(r1*f - e*r2))/det;
+    const y = (a*(r1*i - r2*f) - r0*(b*i - f*c) + c*(b*r2 - r1*c))/det;
+    const z = (a*(e*r2 - f*r1) - b*(b*r2 - r1*c) + r0*(b*f - e*c))/det;
+    return vec3.fromValues(x, y, z);
+}
+
+/**
+ * Solve a small dense linear system Ax = b with Gaussian elimination
+ * and partial pivoting
+ * 
+ * @param {list} A An NxN list of lists of floats (modified in place)
+ * @param {list} b A list of N floats (modified in place)
+ * 
+ * @returns {list} The solution x, or null if A is singular
+ */
+function solveDenseSystem(A, b) {
+    const N = b.length;
+    for (let col = 0; col < N; col++) {
+        let pivot = col;
+        for (let row = col+1; row < N; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(A[pivot][col]) < 1e-14) {
+            return null;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+        for (let row = col+1; row < N; row++) {
+            const fac = A[row][col]/A[col][col];
+            for (let k = col; k < N; k++) {
+                A[row][k] -= fac*A[col][k];
+            }
+            b[row] -= fac*b[col];
+        }
+    }
+    let x = new Array(N).fill(0);
+    for (let row = N-1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row+1; k < N; k++) {
+            sum -= A[row][k]*x[k];
+        }
+        x[row] = sum/A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Find the closest point to p on the triangle abc
+ * (Real-Time Collision Detection, Ericson, 5.1.5)
+ * 
+ * @param {glMatrix.vec3} p The query point
+ * @param {glMatrix.vec3} a First triangle vertex
+ * @param {glMatrix.vec3} b Second triangle vertex
+ * @param {glMatrix.vec3} c Third triangle vertex
+ * 
+ * @returns {glMatrix.vec3} The closest point
+ */
+function closestPointOnTriangle(p, a, b, c) {
+    const ab = getVectorBetweenPoints(b, a);
+    const ac = getVectorBetweenPoints(c, a);
+    const ap = getVectorBetweenPoints(p, a);
+    const d1 = vec3.dot(ab, ap);
+    const d2 = vec3.dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) {
+        return vec3.clone(a);
+    }
+    const bp = getVectorBetweenPoints(p, b);
+    const d3 = vec3.dot(ab, bp);
+    const d4 = vec3.dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) {
+        return vec3.clone(b);
+    }
+    let ret = vec3.create();
+    const vc = d1*d4 - d3*d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        return vec3.scaleAndAdd(ret, a, ab, d1/(d1 - d3));
+    }
+    const cp = getVectorBetweenPoints(p, c);
+    const d5 = vec3.dot(ab, cp);
+    const d6 = vec3.dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) {
+        return vec3.clone(c);
+    }
+    const vb = d5*d2 - d1*d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        return vec3.scaleAndAdd(ret, a, ac, d2/(d2 - d6));
+    }
+    const va = d3*d6 - d5*d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        const bc = getVectorBetweenPoints(c, b);
+        return vec3.scaleAndAdd(ret, b, bc, (d4 - d3)/((d4 - d3) + (d5 - d6)));
+    }
+    const denom = 1/(va + vb + vc);
+    vec3.scaleAndAdd(ret, a, ab, vb*denom);
+    return vec3.scaleAndAdd(ret, ret, ac, vc*denom);
+}
+
+/**
+ * A uniform grid over a fixed set of triangles for finding the
+ * closest point on their surface to a query point
+ */
+class TriangleGrid {
+    /**
+     * @param {list} triangles A list of triangles, each of which is
+     *                         a list of 3 glMatrix.vec3 points
+     * @param {float} cellSize Side length of each grid cell
+     */
+    constructor(triangles, cellSize) {
+        this.triangles = triangles;
+        this.cellSize = cellSize;
+        this.cells = {};
+        for (let t = 0; t < triangles.length; t++) {
+            let lo = [Infinity, Infinity, Infinity];
+            let hi = [-Infinity, -Infinity, -Infinity];
+            for (const p of triangles[t]) {
+                for (let k = 0; k < 3; k++) {
+                    lo[k] = Math.min(lo[k], Math.floor(p[k]/cellSize));
+                    hi[k] = Math.max(hi[k], Math.floor(p[k]/cellSize));
+                }
+            }
+            for (let i = lo[0]; i <= hi[0]; i++) {
+                for (let j = lo[1]; j <= hi[1]; j++) {
+                    for (let k = lo[2]; k <= hi[2]; k++) {
+                        const key = i + "_" + j + "_" + k;
+                        if (!(key in this.cells)) {
+                            this.cells[key] = [];
+                        }
+                        this.cells[key].push(t);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the closest point on any of the triangles, searching
+     * outwards in rings of cells until no closer point is possible
+     * 
+     * @param {glMatrix.vec3} p The query point
+     * 
+     * @returns {glMatrix.vec3} The closest point
+     */
+    closestPoint(p) {
+        const cellSize = this.cellSize;
+        const c = [0, 1, 2].map(function(k) {
+            return Math.floor(p[k]/cellSize);
+        });
+        let best = null;
+        let bestDist = Infinity;
+        let checked = new Set();
+        for (let r = 0; r < 1000; r++) {
+            for (let i = c[0]-r; i <= c[0]+r; i++) {
+                for (let j = c[1]-r; j <= c[1]+r; j++) {
+                    for (let k = c[2]-r; k <= c[2]+r; k++) {
+                        if (Math.max(Math.abs(i-c[0]), Math.abs(j-c[1]), Math.abs(k-c[2])) < r) {
+                            continue; // Only visit the outer shell of this ring
+                        }
+                        const cell = this.cells[i + "_" + j + "_" + k];
+                        if (cell === undefined) {
+                            continue;
+                        }
+                        for (const t of cell) {
+                            if (checked.has(t)) {
+                                continue;
+                            }
+                            checked.add(t);
+                            const tri = this.triangles[t];
+                            const q = closestPointOnTriangle(p, tri[0], tri[1], tri[2]);
+                            const d = vec3.distance(p, q);
+                            if (d < bestDist) {
+                                bestDist = d;
+                                best = q;
+                            }
+                        }
+                    }
+                }
+            }
+            // Anything in the next ring is at least r*cellSize away
+            if (best !== null && bestDist <= r*cellSize) {
+                break;
+            }
+        }
+        return best === null ? vec3.clone(p) : best;
+    }
+}
+
+/**
+ * Flip faces in a face list so that neighboring faces traverse the
+ * edges they share in opposite directions, propagating the orientation
+ * of the first face of each connected component.  Only edges with
+ * exactly two faces are used.  The faces are modified in place
+ * 
+ * @param {list} faces A list of faces, each of which is a list of
+ *                     indices into a list of vertices
+ * 
+ * @returns {object} {'flipped': Number of faces that were flipped,
+ *                    'conflicts': Number of edges whose two faces still
+ *                                 traverse it in the same direction.  This
+ *                                 is nonzero exactly when a component 
+ *                                 is not orientable,
+ *                    'seams': A list of the sides of the faces on each
+ *                             of those edges, as [{'face', 'k'}, {'face', 'k'}],
+ *                             where the side of a face goes from its kth 
+ *                             vertex to the next one}
+ */
+function orientFaceLists(faces) {
+    // Step 1: Find the faces on each undirected edge
+    let edgeFaces = {};
+    for (let i = 0; i < faces.length; i++) {
+        for (let k = 0; k < faces[i].length; k++) {
+            const u = faces[i][k];
+            const v = faces[i][(k+1)%faces[i].length];
+            const key = Math.min(u, v) + "_" + Math.max(u, v);
+            if (!(key in edgeFaces)) {
+                edgeFaces[key] = [];
+            }
+            edgeFaces[key].push(i);
+        }
+    }
+    // Returns 1 if the face goes from u to v, -1 if it goes
+    // from v to u, and 0 if neither
+    function direction(face, u, v) {
+        for (let k = 0; k < face.length; k++) {
+            const next = face[(k+1)%face.length];
+            if (face[k] == u && next == v) {
+                return 1;
+            }
+            if (face[k] == v && next == u) {
+                return -1;
+            }
+        }
+        return 0;
+    }
+    // Returns the index k such that the face goes between
+    // its kth vertex and the next one along the edge {u, v}
+    function side(face, u, v) {
+        for (let k = 0; k < face.length; k++) {
+            const next = face[(k+1)%face.length];
+            if ((face[k] == u && next == v) || (face[k] == v && next == u)) {
+                return k;
+            }
+        }
+        return -1;
+    }
+
+    // Step 2: Propagate orientations with a depth first search
+    let result = {'flipped':0, 'conflicts':0, 'seams':[]};
+    let visited = new Uint8Array(faces.length);
+    for (let seed = 0; seed < faces.length; seed++) {
+        if (visited[seed]) {
+            continue;
+        }
+        visited[seed] = 1;
+        let stack = [seed];
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const face = faces[i];
+            for (let k = 0; k < face.length; k++) {
+                const u = face[k];
+                const v = face[(k+1)%face.length];
+                const others = edgeFaces[Math.min(u, v) + "_" + Math.max(u, v)];
+                if (others.length != 2) {
+                    continue;
+                }
+                const j = others[0] == i ? others[1] : others[0];
+                if (visited[j]) {
+                    continue;
+                }
+                visited[j] = 1;
+                if (direction(faces[j], u, v) == 1) {
+                    faces[j].reverse();
+                    result.flipped++;
+                }
+                stack.push(j);
+            }
+        }
+    }
+
+    // Step 3: Count the edges that could not be made consistent
+    for (const key in edgeFaces) {
+        const others = edgeFaces[key];
+        if (others.length == 2 && others[0] != others[1]) {
+            const uv = key.split("_").map(function(x) {
+                return parseInt(x);
+            });
+            const d1 = direction(faces[others[0]], uv[0], uv[1]);
+            const d2 = direction(faces[others[1]], uv[0], uv[1]);
+            if (d1 == d2) {
+                result.conflicts++;
+                result.seams.push(others.map(function(i) {
+                    return {'face':i, 'k':side(faces[i], uv[0], uv[1])};
+                }));
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Find non-manifold edges and vertices in a face list and split them
+ * by duplicating vertices, so that every edge has at most two faces
+ * (with opposite orientations) and the faces around every vertex form
+ * a single fan.  The lists are modified in place
+ * 
+ * @param {object} res {'vertices': Array of glMatrix.vec3 vertex positions,
+ *                      'colors': Array of glMatrix.vec3 vertex colors,
+ *                      'faces': Array of arrays of indices into vertices}
+ * 
+ * @returns {object} {'nonManifoldEdges': Number of edges with more than two faces,
+ *                    'orientationConflicts': Number of edges whose two faces
+ *                                            traverse it in the same direction,
+ *                    'nonManifoldVertices': Number of vertices that were split,
+ *                    'addedVertices': Number of duplicate vertices that were added}
+ */
+function splitNonManifold(res) {
+    const faces = res['faces'];
+    let report = {'nonManifoldEdges':0, 'orientationConflicts':0, 
+                  'nonManifoldVertices':0, 'addedVertices':0};
+    
+    // Step 1: Gather all of the face sides on each undirected edge
+    let offsets = [];
+    let NCorners = 0;
+    let edgeSides = {};
+    for (let i = 0; i < faces.length; i++) {
+        offsets.push(NCorners);
+        NCorners += faces[i].length;
+        for (let k = 0; k < faces[i].length; k++) {
+            const u = faces[i][k];
+            const v = faces[i][(k+1)%faces[i].length];
+            const key = Math.min(u, v) + "_" + Math.max(u, v);
+            if (!(key in edgeSides)) {
+                edgeSides[key] = [];
+            }
+            edgeSides[key].push({'face':i, 'k':k, 'u':u, 'v':v});
+        }
+    }
+
+    // Step 2: Glue the corners of face sides that can share an edge
+    // together with union find.  A corner is a vertex on a particular face
+    let parent = new Int32Array(NCorners);
+    for (let i = 0; i < NCorners; i++) {
+        parent[i] = i;
+    }
+    function find(i) {
+        while (parent[i] != i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    }
+    function corner(side, offset) {
+        const n = faces[side.face].length;
+        return offsets[side.face] + (side.k + offset)%n;
+    }
+    function glue(s1, s2) {
+        // s1 goes u->v and s2 goes v->u
+        parent[find(corner(s1, 0))] = find(corner(s2, 1));
+        parent[find(corner(s1, 1))] = find(corner(s2, 0));
+    }
+    for (const key in edgeSides) {
+        const sides = edgeSides[key];
+        if (sides.length == 1) {
+            continue;
+        }
+        if (sides.length > 2) {
+            report.nonManifoldEdges++;
+        }
+        // Keep the first side together with the first side that
+        // goes the opposite way, and cut the rest loose
+        const other = sides.find(function(side) {
+            return side.u == sides[0].v;
+        });
+        if (other === undefined) {
+            report.orientationConflicts++;
+        }
+        else {
+            glue(sides[0], other);
+        }
+    }
+
+    // Step 3: Give each fan of corners around a vertex its own vertex
+    let groups = {}; // Map from vertex index to a map from root corner to new index
+    let splitVertices = new Set();
+    function duplicateVertex(idx) {
+        res['vertices'].push(glMatrix.vec3.clone(res['vertices'][idx]));
+        res['colors'].push(res['colors'][idx]);
+        report.addedVertices++;
+        return res['vertices'].length-1;
+    }
+    for (let i = 0; i < faces.length; i++) {
+        for (let k = 0; k < faces[i].length; k++) {
+            const idx = faces[i][k];
+            const root = find(offsets[i]+k);
+            if (!(idx in groups)) {
+                groups[idx] = {};
+                groups[idx][root] = idx;
+            }
+            else if (!(root in groups[idx])) {
+                groups[idx][root] = duplicateVertex(idx);
+                splitVertices.add(idx);
+            }
+            faces[i][k] = groups[idx][root];
+        }
+    }
+
+    // Step 4: In the rare case that two faces still traverse the same
+    // directed edge (because they are glued together elsewhere around
+    // both endpoints), detach the later face completely
+    let directed = new Set();
+    for (let i = 0; i < faces.length; i++) {
+        let collision = false;
+        for (let k = 0; k < faces[i].length; k++) {
+            const key = faces[i][k] + "_" + faces[i][(k+1)%faces[i].length];
+            if (directed.has(key)) {
+                collision = true;
+            }
+        }
+        if (collision) {
+            for (let k = 0; k < faces[i].length; k++) {
+                splitVertices.add(faces[i][k]);
+                faces[i][k] = duplicateVertex(faces[i][k]);
+            }
+        }
+        for (let k = 0; k < faces[i].length; k++) {
+            directed.add(faces[i][k] + "_" + faces[i][(k+1)%faces[i].length]);
+        }
+    }
+    report.nonManifoldVertices = splitVertices.size;
+    return report;
+}
+
 function getVectorBetweenPoints(a, b) {
     let vector = vec3.create();
     let aux = vec3.create();
@@ -298,32 +1177,39 @@ function getVectorBetweenPoints(a, b) {
 ///////////////////////////////////////////////////
 
 class HedgeMesh extends PolyMesh {
+    constructor() {
+        super();
+        // Pairs of boundary half edges along which a non-orientable
+        // surface was cut open when it was loaded
+        this.orientationSeams = [];
+    }
+
     /**
      * @returns {I} A NumTrisx3 Uint32Array of indices into the vertex array
      */
     getTriangleIndices() {
         let NumTris = 0;
         let allvs = [];
+        let alltris = [];
         for (let i = 0; i < this.faces.length; i++) {
             let vsi = this.faces[i].getVertices();
             allvs.push(vsi.map(function(v){
                 return v.ID;
             }));
-            NumTris += vsi.length - 2;
+            alltris.push(this.faces[i].getTriangles());
+            NumTris += alltris[i].length;
         }
         let I = new Uint32Array(NumTris*3);
         let i = 0;
-        let faceIdx = 0;
         //Now copy over the triangle indices
-        while (i < NumTris) {
-            let verts = allvs[faceIdx]
-            for (let t = 0; t < verts.length - 2; t++) {
-                I[i*3] = verts[0];
-                I[i*3+1] = verts[t+1];
-                I[i*3+2] = verts[t+2];
+        for (let faceIdx = 0; faceIdx < this.faces.length; faceIdx++) {
+            let verts = allvs[faceIdx];
+            for (const tri of alltris[faceIdx]) {
+                I[i*3] = verts[tri[0]];
+                I[i*3+1] = verts[tri[1]];
+                I[i*3+2] = verts[tri[2]];
                 i++;
             }
-            faceIdx++;
         }
         return I;
     }
@@ -362,30 +1248,131 @@ class HedgeMesh extends PolyMesh {
         return hedge;
     }
 
-    /////////////////////////////////////////////////////////////
-    ////                INPUT/OUTPUT METHODS                /////
-    /////////////////////////////////////////////////////////////
+    /**
+     * Add a new vertex to the end of the list of vertices
+     * 
+     * @param {glMatrix.vec3} pos Position of the vertex
+     * @param {glMatrix.vec3} color Color of the vertex (optional)
+     * 
+     * @returns {HVertex} The new vertex
+     */
+    addVertex(pos, color) {
+        const vertex = new HVertex(pos, color);
+        vertex.ID = this.vertices.length;
+        this.vertices.push(vertex);
+        return vertex;
+    }
 
     /**
-     * Load in an OFF file from lines and convert into
-     * half edge mesh format. Crucially, this function assumes
-     * a consistently oriented mesh with vertices specified 
-     * in CCW order
+     * Add a new face with no edges yet to the end of the list of faces
+     * 
+     * @returns {HFace} The new face
      */
-    loadFileFromLines(lines) {
-        // Step 1: Consistently orient faces using
-        // the basic mesh structure and copy over the result
-        const origMesh = new BasicMesh();
-        origMesh.loadFileFromLines(lines);
-        origMesh.consistentlyOrientFaces();
-        origMesh.subtractCentroid();
-        const res = {'vertices':[], 'colors':[], 'faces':[]};
+    addFace() {
+        const face = new HFace();
+        face.ID = this.faces.length;
+        this.faces.push(face);
+        return face;
+    }
+
+    /**
+     * Add a new, unlinked half edge to the end of the list of edges
+     * 
+     * @returns {HEdge} The new half edge
+     */
+    addHedge() {
+        const hedge = new HEdge();
+        hedge.ID = this.edges.length;
+        this.edges.push(hedge);
+        return hedge;
+    }
+
+    /**
+     * Remove a vertex from the list of vertices by swapping it with
+     * the last vertex (O(1) removal).  This function is not responsible
+     * for cleaning up edges that may have used this vertex
+     * 
+     * @param {HVertex} vertex Vertex to remove
+     */
+    removeVertex(vertex) {
+        const last = this.vertices.pop();
+        if (last !== vertex) {
+            this.vertices[vertex.ID] = last;
+            last.ID = vertex.ID;
+        }
+        vertex.ID = -1;
+    }
+
+    /**
+     * Remove a face from the list of faces by swapping it with
+     * the last face (O(1) removal).  This function is not responsible
+     * for cleaning up the face pointers of its half edges
+     * 
+     * @param {HFace} face Face to remove
+     */
+    removeFace(face) {
+        const last = this.faces.pop();
+        if (last !== face) {
+            this.faces[face.ID] = last;
+            last.ID = face.ID;
+        }
+        face.ID = -1;
+    }
+
+    /**
+     * Remove a half edge from the list of edges by swapping it with
+     * the last half edge (O(1) removal).  This function is not responsible
+     * for cleaning up pointers to this half edge
+     * 
+     * @param {HEdge} hedge Half edge to remove
+     */
+    removeHedge(hedge) {
+        const last = this.edges.pop();
+        if (last !== hedge) {
+            this.edges[hedge.ID] = last;
+            last.ID = hedge.ID;
+        }
+        hedge.ID = -1;
+    }
+
+    /////////////////////////////////////////////////////////////
+    ////                INPUT/OUTPUT METHODS                /////
+    /////////////////////////////////////////////////////////////
+
+    /**
+     * Load in an OFF file from lines and convert into
+     * half edge mesh format.  Faces are consistently oriented
+     * first, and any non-manifold edges or vertices are split
+     * apart by duplicating vertices.  A half edge mesh can only
+     * store orientable surfaces, so a non-orientable mesh (such
+     * as a Mobius strip) is always cut open along the edges where
+     * the orientation conflicts, which is noted in the report
+     * 
+     * @param {list} lines The lines in the file
+     * @param {boolean} repair If true (default), repair non-manifold
+     *                         input.  If false, throw an error instead
+     * 
+     * @returns {object} A report of what was repaired (see splitNonManifold),
+     *                   with the additional fields 
+     *                   {'flippedFaces': Number of faces that were flipped 
+     *                                    to orient them consistently,
+     *                    'orientable': Whether the input was orientable}
+     */
+    loadFileFromLines(lines, repair) {
+        if (repair === undefined) {
+            repair = true;
+        }
+        // Step 1: Load the faces using the basic mesh
+        // structure and copy over the result
+        const origMesh = new BasicMesh();
+        origMesh.loadFileFromLines(lines);
+        origMesh.subtractCentroid();
+        const res = {'vertices':[], 'colors':[], 'faces':[]};
         for (let i = 0; i < origMesh.vertices.length; i++) {
             res['vertices'].push(origMesh.vertices[i].pos);
             res['colors'].push(origMesh.vertices[i].color);
         }
         for (let i = 0; i < origMesh.faces.length; i++) {
-            // These faces should now be consistently oriented
             const vs = origMesh.faces[i].getVertices();
             res['faces'].push(vs.map(
                 function(v) {
@@ -394,26 +1381,81 @@ class HedgeMesh extends PolyMesh {
             ));
         }
 
-        // Step 1.5: Clear previous mesh
+        // Step 2: Consistently orient faces
+        const orientation = orientFaceLists(res['faces']);
+
+        // Step 3: Split non-manifold edges and vertices, which also
+        // cuts non-orientable meshes open where the orientation conflicts
+        const report = splitNonManifold(res);
+        report.flippedFaces = orientation.flipped;
+        report.orientable = orientation.conflicts == 0;
+        if (!report.orientable) {
+            console.log("Mesh is not orientable, so it was cut open along " + 
+                        orientation.conflicts + " edges whose faces disagree on their orientation");
+        }
+        const problems = report.nonManifoldEdges + report.orientationConflicts + report.nonManifoldVertices;
+        if (problems > 0) {
+            const msg = report.nonManifoldEdges + " non-manifold edges, " + 
+                        report.orientationConflicts + " orientation conflicts, " + 
+                        report.nonManifoldVertices + " non-manifold vertices";
+            if (!repair && (report.orientable || report.nonManifoldEdges > 0)) {
+                throw "Error (HedgeMesh.loadFileFromLines): Mesh is not manifold (" + msg + ")";
+            }
+            console.log("Repaired " + msg + " by adding " + report.addedVertices + " vertices");
+        }
+        this.initFromFaceLists(res['vertices'], res['colors'], res['faces']);
+
+        // Step 4: Remember where the mesh was cut open because the
+        // orientation conflicts, as the pairs of boundary edges on the seams
+        const mesh = this;
+        for (const seam of orientation.seams) {
+            this.orientationSeams.push(seam.map(function(side) {
+                const face = res['faces'][side.face];
+                const a = mesh.vertices[face[side.k]];
+                const b = mesh.vertices[face[(side.k+1)%face.length]];
+                return mesh.faces[side.face].getEdges().find(function(h) {
+                    return h.pair.head == a && h.head == b;
+                }).pair;
+            }));
+        }
+        return report;
+    }
+
+    /**
+     * Build the half edge structure from a list of vertex positions
+     * and a list of faces.  This assumes a manifold, consistently
+     * oriented mesh with vertices specified in CCW order
+     * 
+     * @param {list} vertices A list of glMatrix.vec3 vertex positions
+     * @param {list} colors A list of glMatrix.vec3 vertex colors, or undefined
+     * @param {list} faces A list of faces, each of which is a list of
+     *                     indices into vertices
+     */
+    initFromFaceLists(vertices, colors, faces) {
+        if (colors === undefined) {
+            colors = [];
+        }
+        // Step 1: Clear previous mesh
         this.vertices.length = 0;
         this.edges.length = 0;
         this.faces.length = 0;
+        this.orientationSeams = [];
 
         // Step 2: Add vertices
-        for (let i = 0; i < res['vertices'].length; i++) {
-            let V = new HVertex(res['vertices'][i], res['colors'][i]);
+        for (let i = 0; i < vertices.length; i++) {
+            let V = new HVertex(vertices[i], colors[i]);
             V.ID = this.vertices.length;
             this.vertices.push(V);
         }
 
         let str2Hedge = {};
         // Step 3: Add faces and halfedges
-        for (let i = 0; i < res['faces'].length; i++) {
+        for (let i = 0; i < faces.length; i++) {
             const face = new HFace();
             this.faces.push(face);
             let vertsi = [];
-            for (let k = 0; k < res['faces'][i].length; k++) {
-                vertsi.push(this.vertices[res['faces'][i][k]]);
+            for (let k = 0; k < faces[i].length; k++) {
+                vertsi.push(this.vertices[faces[i][k]]);
             }
 
             // Add halfedges
@@ -486,6 +1528,527 @@ class HedgeMesh extends PolyMesh {
     }
 
 
+    /////////////////////////////////////////////////////////////
+    ////              LOCAL CONNECTIVITY EDITS              /////
+    /////////////////////////////////////////////////////////////
+
+    /**
+     * Split a face in two by adding an edge between the heads of
+     * two of its half edges
+     * 
+     * @param {HEdge} h1 A half edge on the face
+     * @param {HEdge} h2 Another half edge on the same face, which
+     *                   is not adjacent to h1
+     * 
+     * @returns {HEdge} The new half edge from h1.head to h2.head,
+     *                  which stays on the original face
+     */
+    splitFace(h1, h2) {
+        const face = h1.face;
+        const newFace = this.addFace();
+        const d1 = this.addHedge();
+        const d2 = this.addHedge();
+        const n1 = h1.next;
+        const n2 = h2.next;
+        d1.head = h2.head;
+        d2.head = h1.head;
+        linkEdges(d1, d2);
+        makeNextPrev(h1, d1);
+        makeNextPrev(d1, n2);
+        makeNextPrev(h2, d2);
+        makeNextPrev(d2, n1);
+        d1.face = face;
+        face.h = d1;
+        newFace.h = d2;
+        let h = d2;
+        do {
+            h.face = newFace;
+            h = h.next;
+        } while (h != d2);
+        this.needsDisplayUpdate = true;
+        return d1;
+    }
+
+    /**
+     * Split an edge by inserting a new vertex along it.  Any triangle
+     * on either side of the edge is split in two by connecting the new
+     * vertex to the opposite corner, so triangle meshes stay triangle
+     * meshes.  Other polygons simply gain a vertex
+     * 
+     * @param {HEdge} h Half edge to split
+     * @param {glMatrix.vec3} pos Position of the new vertex.  If
+     *                            unspecified, the midpoint of the edge is used
+     * 
+     * @returns {HVertex} The new vertex
+     */
+    splitEdge(h, pos) {
+        const t = h.pair;
+        const a = t.head;
+        const b = h.head;
+        if (pos === undefined) {
+            pos = vec3.create();
+            vec3.lerp(pos, a.pos, b.pos, 0.5);
+        }
+        let color = undefined;
+        if (a.color !== null && b.color !== null) {
+            color = vec3.create();
+            vec3.lerp(color, a.color, b.color, 0.5);
+        }
+        const m = this.addVertex(pos, color);
+        // h becomes a->m and t becomes b->m; hn (m->b) and tn (m->a)
+        // are inserted after them in their loops
+        const hn = this.addHedge();
+        const tn = this.addHedge();
+        hn.head = b;
+        hn.face = h.face;
+        makeNextPrev(hn, h.next);
+        makeNextPrev(h, hn);
+        tn.head = a;
+        tn.face = t.face;
+        makeNextPrev(tn, t.next);
+        makeNextPrev(t, tn);
+        h.head = m;
+        t.head = m;
+        linkEdges(h, tn);
+        linkEdges(t, hn);
+        // Prefer an outgoing edge with a face for the new vertex
+        m.h = hn.face === null ? tn : hn;
+
+        // Re-triangulate any triangles that were split
+        for (const e of [h, t]) {
+            if (e.face !== null && e.face.getEdges().length == 4) {
+                this.splitFace(e, e.next.next);
+            }
+        }
+        this.needsDisplayUpdate = true;
+        return m;
+    }
+
+    /**
+     * Check whether collapsing an edge would keep the mesh manifold.
+     * This enforces the link condition (the only vertices adjacent to
+     * both endpoints are the opposite corners of triangles on the edge),
+     * refuses to pinch two boundaries together through an interior edge,
+     * and refuses collapses that would leave degenerate faces or vertices
+     * 
+     * @param {HEdge} h Half edge to collapse
+     * 
+     * @returns {boolean} True if the collapse is allowed
+     */
+    canCollapseEdge(h) {
+        const t = h.pair;
+        const a = t.head;
+        const b = h.head;
+        if (!h.isBoundary() && a.isBoundary() && b.isBoundary()) {
+            return false;
+        }
+        // Collect the corners opposite the edge on adjacent triangles
+        let opposite = new Set();
+        for (const e of [h, t]) {
+            if (e.face === null) {
+                // A boundary loop with 3 edges would become a 2-gon
+                if (e.next.next.next === e) {
+                    return false;
+                }
+                continue;
+            }
+            const edges = e.face.getEdges();
+            if (edges.length > 3) {
+                continue;
+            }
+            const c = e.next.head;
+            // The two remaining edges of the triangle are merged; this
+            // can't leave an edge with no faces on either side
+            if (e.next.pair.face === null && e.prev.pair.face === null) {
+                return false;
+            }
+            // The opposite corner loses an edge
+            const valence = c.getOutgoingEdges().length;
+            if (valence <= 3 && !c.isBoundary()) {
+                return false;
+            }
+            opposite.add(c);
+        }
+        // Link condition
+        const aNeighbors = new Set(a.getOutgoingEdges().map(function(e) {
+            return e.head;
+        }));
+        for (const e of b.getOutgoingEdges()) {
+            if (e.head !== a && aNeighbors.has(e.head) && !opposite.has(e.head)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Collapse an edge so that its two endpoints become one vertex.
+     * Triangles on either side of the edge disappear, and other
+     * polygons lose a vertex
+     * 
+     * @param {HEdge} h Half edge to collapse.  The tail of h is removed
+     *                  and the head of h is kept
+     * @param {glMatrix.vec3} pos Position of the merged vertex.  If
+     *                            unspecified, the midpoint of the edge is used
+     * 
+     * @returns {HVertex} The merged vertex, or null if the collapse would
+     *                    break manifoldness (see canCollapseEdge)
+     */
+    collapseEdge(h, pos) {
+        if (!this.canCollapseEdge(h)) {
+            return null;
+        }
+        const t = h.pair;
+        const a = t.head;
+        const b = h.head;
+        if (pos === undefined) {
+            pos = vec3.create();
+            vec3.lerp(pos, a.pos, b.pos, 0.5);
+        }
+        const outgoingA = a.getOutgoingEdges();
+        // Remember candidate outgoing edges of every vertex whose
+        // half edge might be removed
+        let candidates = new Map();
+        candidates.set(b, b.getOutgoingEdges().concat(outgoingA));
+        let removed = new Set([h, t]);
+        for (const e of [h, t]) {
+            const face = e.face;
+            if (face !== null && face.getEdges().length == 3) {
+                // Merge the other two edges of the triangle into one
+                const x = e.next;
+                const y = e.prev;
+                candidates.set(x.head, x.head.getOutgoingEdges());
+                linkEdges(x.pair, y.pair);
+                removed.add(x);
+                removed.add(y);
+                this.removeFace(face);
+            }
+            else {
+                makeNextPrev(e.prev, e.next);
+                if (face !== null && face.h === e) {
+                    face.h = e.next;
+                }
+            }
+        }
+        for (const e of outgoingA) {
+            if (!removed.has(e.pair)) {
+                e.pair.head = b;
+            }
+        }
+        for (const e of removed) {
+            this.removeHedge(e);
+        }
+        this.removeVertex(a);
+        vec3.copy(b.pos, pos);
+        for (const [v, edges] of candidates) {
+            const kept = edges.filter(function(e) {
+                return !removed.has(e);
+            });
+            v.h = kept.find(function(e) {
+                return e.face !== null;
+            });
+            if (v.h === undefined) {
+                v.h = kept[0];
+            }
+        }
+        this.needsDisplayUpdate = true;
+        return b;
+    }
+
+    /**
+     * Check whether an edge can be flipped.  Only interior edges
+     * between two triangles can be flipped, and only if the flipped
+     * edge does not already exist and neither endpoint would be
+     * left with fewer than three edges
+     * 
+     * @param {HEdge} h Half edge to flip
+     * 
+     * @returns {boolean} True if the flip is allowed
+     */
+    canFlipEdge(h) {
+        const t = h.pair;
+        if (h.isBoundary()) {
+            return false;
+        }
+        if (h.face.getEdges().length != 3 || t.face.getEdges().length != 3) {
+            return false;
+        }
+        const c = h.next.head;
+        const d = t.next.head;
+        if (c === d) {
+            return false;
+        }
+        for (const e of c.getOutgoingEdges()) {
+            if (e.head === d) {
+                return false;
+            }
+        }
+        for (const v of [h.head, t.head]) {
+            if (v.getOutgoingEdges().length <= 3 && !v.isBoundary()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Flip an interior edge between two triangles so that it connects
+     * the two corners opposite to it instead
+     * 
+     * @param {HEdge} h Half edge to flip
+     * 
+     * @returns {HEdge} The flipped half edge, or null if the flip is not
+     *                  allowed (see canFlipEdge)
+     */
+    flipEdge(h) {
+        if (!this.canFlipEdge(h)) {
+            return null;
+        }
+        const t = h.pair;
+        const a = t.head;
+        const b = h.head;
+        const x1 = h.next;
+        const y1 = h.prev;
+        const x2 = t.next;
+        const y2 = t.prev;
+        const f1 = h.face;
+        const f2 = t.face;
+        // h goes from y1.head to x2.head, t goes the other way
+        h.head = x2.head;
+        t.head = x1.head;
+        makeNextPrev(h, y2);
+        makeNextPrev(y2, x1);
+        makeNextPrev(x1, h);
+        makeNextPrev(t, y1);
+        makeNextPrev(y1, x2);
+        makeNextPrev(x2, t);
+        y2.face = f1;
+        y1.face = f2;
+        f1.h = h;
+        f2.h = t;
+        if (a.h === h) {
+            a.h = x2;
+        }
+        if (b.h === t) {
+            b.h = x1;
+        }
+        this.needsDisplayUpdate = true;
+        return h;
+    }
+
+    /**
+     * Split a face into a fan of triangles around a new vertex
+     * 
+     * @param {HFace} face The face to split
+     * @param {glMatrix.vec3} pos Position of the new vertex.  If
+     *                            unspecified, the centroid of the face is used
+     * 
+     * @returns {HVertex} The new vertex
+     */
+    pokeFace(face, pos) {
+        const edges = face.getEdges();
+        const vs = face.getVertices();
+        if (pos === undefined) {
+            pos = vec3.create();
+            for (const v of vs) {
+                vec3.scaleAndAdd(pos, pos, v.pos, 1/vs.length);
+            }
+        }
+        let color = undefined;
+        if (vs.every(function(v) { return v.color !== null; })) {
+            color = vec3.create();
+            for (const v of vs) {
+                vec3.scaleAndAdd(color, color, v.color, 1/vs.length);
+            }
+        }
+        const m = this.addVertex(pos, color);
+        // Each edge e gets a triangle e -> (e.head to m) -> (m to tail of e)
+        const N = edges.length;
+        let ins = [];
+        let outs = [];
+        for (let i = 0; i < N; i++) {
+            const e = edges[i];
+            const f = i == 0 ? face : this.addFace();
+            const hIn = this.addHedge();
+            const hOut = this.addHedge();
+            hIn.head = m;
+            hOut.head = e.pair.head;
+            makeNextPrev(e, hIn);
+            makeNextPrev(hIn, hOut);
+            makeNextPrev(hOut, e);
+            for (const h of [e, hIn, hOut]) {
+                h.face = f;
+            }
+            f.h = e;
+            ins.push(hIn);
+            outs.push(hOut);
+        }
+        for (let i = 0; i < N; i++) {
+            linkEdges(outs[i], ins[(i+N-1)%N]);
+        }
+        m.h = outs[0];
+        this.needsDisplayUpdate = true;
+        return m;
+    }
+
+
+    /////////////////////////////////////////////////////////////
+    ////                  INTEGRITY CHECKS                  /////
+    /////////////////////////////////////////////////////////////
+
+    /**
+     * Check every invariant of the half edge structure.  All of the
+     * walks are bounded by the number of half edges, so this is safe
+     * to call on a broken mesh that would make the traversals loop forever
+     * 
+     * @returns {list} A list of violations, each of which is an object
+     *                 {'type': A short name of the invariant that failed,
+     *                  'message': A human readable description,
+     *                  'vertices': List of HVertex objects involved,
+     *                  'edges': List of HEdge objects involved,
+     *                  'faces': List of HFace objects involved}.
+     *                 The list is empty if the mesh is valid
+     */
+    validate() {
+        let violations = [];
+        function report(type, message, vertices, edges, faces) {
+            violations.push({'type':type, 'message':message, 
+                             'vertices':vertices || [], 
+                             'edges':edges || [], 
+                             'faces':faces || []});
+        }
+        const mesh = this;
+        function inMesh(elem, list) {
+            return elem !== null && elem !== undefined && list[elem.ID] === elem;
+        }
+        const maxSteps = this.edges.length + 1;
+
+        // Step 1: IDs match positions in the arrays
+        this.vertices.forEach(function(v, i) {
+            if (v.ID !== i) {
+                report('vertexID', "Vertex at index " + i + " has ID " + v.ID, [v]);
+            }
+        });
+        this.edges.forEach(function(h, i) {
+            if (h.ID !== i) {
+                report('edgeID', "Half edge at index " + i + " has ID " + h.ID, [], [h]);
+            }
+        });
+        this.faces.forEach(function(f, i) {
+            if (f.ID !== i) {
+                report('faceID', "Face at index " + i + " has ID " + f.ID, [], [], [f]);
+            }
+        });
+
+        // Step 2: Local half edge pointers
+        for (let i = 0; i < this.edges.length; i++) {
+            const h = this.edges[i];
+            if (!inMesh(h.head, mesh.vertices)) {
+                report('head', "Half edge " + i + " has a head vertex that is not in the mesh", [], [h]);
+            }
+            if (!inMesh(h.pair, mesh.edges)) {
+                report('pair', "Half edge " + i + " has a pair that is not in the mesh", [], [h]);
+            }
+            else if (h.pair.pair !== h || h.pair === h) {
+                report('pair', "Half edge " + i + " is not the pair of its pair", [], [h, h.pair]);
+            }
+            else if (h.pair.head === h.head) {
+                report('degenerate', "Half edge " + i + " and its pair have the same head", [h.head], [h, h.pair]);
+            }
+            if (!inMesh(h.next, mesh.edges) || !inMesh(h.prev, mesh.edges)) {
+                report('next', "Half edge " + i + " has a next or prev that is not in the mesh", [], [h]);
+                continue;
+            }
+            if (h.next.prev !== h) {
+                report('next', "Half edge " + i + " is not the prev of its next", [], [h, h.next]);
+            }
+            if (h.prev.next !== h) {
+                report('prev', "Half edge " + i + " is not the next of its prev", [], [h, h.prev]);
+            }
+            if (h.next.face !== h.face) {
+                report('face', "Half edge " + i + " and its next have different faces", [], [h, h.next]);
+            }
+            if (inMesh(h.next.pair, mesh.edges) && h.next.pair.head !== h.head) {
+                report('tail', "The next of half edge " + i + " does not leave its head", [h.head], [h, h.next]);
+            }
+            if (h.face !== null && !inMesh(h.face, mesh.faces)) {
+                report('face', "Half edge " + i + " has a face that is not in the mesh", [], [h]);
+            }
+        }
+
+        // Step 3: Face loops close and all point back to their face
+        for (let i = 0; i < this.faces.length; i++) {
+            const f = this.faces[i];
+            if (!inMesh(f.h, mesh.edges)) {
+                report('faceLoop', "Face " + i + " has a half edge that is not in the mesh", [], [], [f]);
+                continue;
+            }
+            let h = f.h;
+            let steps = 0;
+            let brokenLoop = false;
+            do {
+                if (h.face !== f) {
+                    report('faceLoop', "Half edge " + h.ID + " on the loop of face " + i + " points to another face", [], [h], [f]);
+                    brokenLoop = true;
+                    break;
+                }
+                h = h.next;
+                steps++;
+            } while (h !== f.h && h !== null && steps < maxSteps);
+            if (brokenLoop) {
+                continue;
+            }
+            if (h !== f.h) {
+                report('faceLoop', "The loop of face " + i + " does not close", [], [f.h], [f]);
+            }
+            else if (steps < 3) {
+                report('faceLoop', "Face " + i + " has only " + steps + " edges", [], [f.h], [f]);
+            }
+        }
+
+        // Step 4: Every vertex points to a half edge leaving it
+        for (let i = 0; i < this.vertices.length; i++) {
+            const v = this.vertices[i];
+            if (v.h === null) {
+                // Isolated vertices are allowed
+                continue;
+            }
+            if (!inMesh(v.h, mesh.edges)) {
+                report('vertexEdge', "Vertex " + i + " has a half edge that is not in the mesh", [v]);
+            }
+            else if (v.h.pair === null || v.h.pair.head !== v) {
+                report('vertexEdge', "The half edge of vertex " + i + " does not leave that vertex", [v], [v.h]);
+            }
+        }
+
+        // Step 5: Boundary half edges form closed cycles
+        let visited = new Set();
+        for (let i = 0; i < this.edges.length; i++) {
+            const start = this.edges[i];
+            if (start.face !== null || visited.has(start)) {
+                continue;
+            }
+            let h = start;
+            let steps = 0;
+            let brokenLoop = false;
+            do {
+                visited.add(h);
+                if (h.face !== null) {
+                    report('boundary', "Boundary cycle through half edge " + i + " reaches half edge " + h.ID + " which has a face", [], [start, h]);
+                    brokenLoop = true;
+                    break;
+                }
+                h = h.next;
+                steps++;
+            } while (h !== start && h !== null && steps < maxSteps);
+            if (!brokenLoop && h !== start) {
+                report('boundary', "Boundary cycle through half edge " + i + " does not close", [], [start]);
+            }
+        }
+        return violations;
+    }
+
+
     /////////////////////////////////////////////////////////////
     ////                  GEOMETRIC TASKS                   /////
     /////////////////////////////////////////////////////////////
@@ -509,26 +2072,65 @@ class HedgeMesh extends PolyMesh {
     }
 
     /**
-     * Compute the mean vector from all of this vertex's neighbors
-     * to the vertex.  If smoothing, subtract this vector off.
+     * Compute the weighted mean vector from all of this vertex's 
+     * neighbors to the vertex.  If smoothing, subtract this vector off.
      * If sharpening, add this vector on
      * 
      * @param {boolean} smooth If true, smooth.  If false, sharpen
+     * @param {string} weighting 'uniform' (default), 'cotangent', or 'meanvalue'
+     *                           (see HVertex.getLaplacianWeights)
+     * @param {float} lambda Step size (1 by default)
+     * @param {boolean} fixBoundary If true, boundary vertices don't move
      */
-    laplacianSmoothSharpen(smooth) {
+    laplacianSmoothSharpen(smooth, weighting, lambda, fixBoundary) {
         let sign = smooth ? 1 : -1;
+        if (lambda === undefined) {
+            lambda = 1;
+        }
+        this.laplacianStep(sign*lambda, weighting, fixBoundary);
+    }
+
+    /**
+     * Move every vertex by a factor of the weighted mean vector
+     * from its neighbors to it
+     * 
+     * @param {float} fac Factor by which to move each vertex.  Positive
+     *                    factors smooth and negative factors sharpen
+     * @param {string} weighting 'uniform' (default), 'cotangent', or 'meanvalue'
+     *                           (see HVertex.getLaplacianWeights)
+     * @param {boolean} fixBoundary If true, boundary vertices don't move
+     */
+    laplacianStep(fac, weighting, fixBoundary) {
+        if (weighting === undefined) {
+            weighting = 'uniform';
+        }
         let smoothedPos = [];
 
         for(let vertex of this.vertices) {
-            let neighbors = vertex.getVertexNeighbors();
             let mean = vec3.fromValues(0,0,0);
+            if (vertex.h === null || (fixBoundary && vertex.isBoundary())) {
+                smoothedPos.push(mean);
+                continue;
+            }
+            let lap = vertex.getLaplacianWeights(weighting);
+            let weightSum = 0;
 
-            for(let neighbor of neighbors) {
-                let vector = getVectorBetweenPoints(neighbor.pos, vertex.pos);
-                vec3.add(mean, mean, vector);
+            for(let i = 0; i < lap.neighbors.length; i++) {
+                let vector = getVectorBetweenPoints(lap.neighbors[i].pos, vertex.pos);
+                vec3.scaleAndAdd(mean, mean, vector, lap.weights[i]);
+                weightSum += lap.weights[i];
             }
 
-            vec3.scale(mean, mean, (1/neighbors.length)*sign);
+            // Cotangent weights can sum to zero or less around a vertex
+            // with obtuse angles, where the average isn't meaningful and
+            // dividing by the sum would blow the step up or reverse it,
+            // so leave that vertex where it is
+            if (weightSum > 0) {
+                vec3.scale(mean, mean, fac/weightSum);
+            }
+            else {
+                vec3.set(mean, 0, 0, 0);
+            }
 
             smoothedPos.push(mean);
         }
@@ -540,54 +2142,1434 @@ class HedgeMesh extends PolyMesh {
         this.needsDisplayUpdate = true;
     }
 
-
-    /////////////////////////////////////////////////////////////
-    ////                  TOPOLOGICAL TASKS                 /////
-    /////////////////////////////////////////////////////////////
     /**
-     * Return a list of boundary cycles
+     * Perform one step of Taubin lambda/mu smoothing, which follows a
+     * shrinking Laplacian step with an inflating one so that the
+     * mesh is smoothed without shrinking
      * 
-     * @returns {list} A list of cycles, each of which is
-     *                 its own list of HEdge objects corresponding
-     *                 to a unique cycle
+     * @param {float} lambda Positive smoothing factor (e.g. 0.5)
+     * @param {float} mu Negative inflating factor, with |mu| > lambda (e.g. -0.53)
+     * @param {string} weighting 'uniform' (default), 'cotangent', or 'meanvalue'
+     *                           (see HVertex.getLaplacianWeights)
+     * @param {boolean} fixBoundary If true, boundary vertices don't move
      */
-    getBoundaryCycles() {
-        let cycles = [];
-        for(let edge of this.edges) {
-            edge.isChecked = false;
+    taubinSmooth(lambda, mu, weighting, fixBoundary) {
+        this.laplacianStep(lambda, weighting, fixBoundary);
+        this.laplacianStep(mu, weighting, fixBoundary);
+    }
+
+    /**
+     * Smooth the mesh with implicit fairing, which takes backward Euler
+     * steps of mean curvature flow (Desbrun et al. 1999).  Each step solves
+     * (M + dt L)x = Mx0 with the lumped mass matrix M and the cotangent
+     * Laplacian L, which is positive semidefinite here, so unlike
+     * laplacianSmoothSharpen, it is stable for any time step
+     *
+     * @param {float} dt The time step, in units of area
+     * @param {int} iterations Number of steps to take (1 by default)
+     * @param {boolean} preserveVolume If true, scale the mesh about its centroid
+     *                                 after each step so that it encloses the
+     *                                 same volume as before.  This only applies
+     *                                 to meshes without boundary
+     * @param {boolean} fixBoundary If true, boundary vertices don't move
+     */
+    implicitFair(dt, iterations, preserveVolume, fixBoundary) {
+        if (iterations === undefined) {
+            iterations = 1;
         }
-        for(let edge of this.edges) {
-            if(edge.face === null && !edge.isChecked) {
-                let cycle = [edge];
-                edge.isChecked = true;
-                let iterated = edge.next;
+        for (const f of this.faces) {
+            if (f.getEdges().length != 3) {
+                throw "Error (implicitFair): Mesh must be a triangle mesh";
+            }
+        }
+        const N = this.vertices.length;
+        const closed = !this.edges.some(function(h) {
+            return h.face === null;
+        });
+        const volume = this.getVolume();
+        // Vertices that aren't on any face have no mass, so hold them in place too
+        const fixed = this.vertices.map(function(v) {
+            return v.h === null || (fixBoundary && v.isBoundary());
+        });
+        for (let iter = 0; iter < iterations; iter++) {
+            // Step 1: Set up the system with the current geometry, moving
+            // the fixed vertices over to the right hand side
+            const M = getMassMatrix(this);
+            const A = M.combine(getLaplacianMatrix(this, 'cotangent'), 1, dt);
+            let system = new COOMatrix(N, N);
+            let b = [new Float64Array(N), new Float64Array(N), new Float64Array(N)];
+            for (let i = 0; i < N; i++) {
+                const pos = this.vertices[i].pos;
+                if (fixed[i]) {
+                    system.add(i, i, 1);
+                    for (let k = 0; k < 3; k++) {
+                        b[k][i] = pos[k];
+                    }
+                    continue;
+                }
+                for (let k = 0; k < 3; k++) {
+                    b[k][i] = M.vals[i]*pos[k];
+                }
+                for (let p = A.rowPtr[i]; p < A.rowPtr[i+1]; p++) {
+                    const j = A.colIdx[p];
+                    if (fixed[j]) {
+                        for (let k = 0; k < 3; k++) {
+                            b[k][i] -= A.vals[p]*this.vertices[j].pos[k];
+                        }
+                    }
+                    else {
+                        system.add(i, j, A.vals[p]);
+                    }
+                }
+            }
 
-                while(iterated.head.ID != edge.head.ID) {
-                    cycle.push(iterated);
-                    iterated.isChecked = true
-                    iterated = iterated.next;
+            // Step 2: Solve for each coordinate with one factorization
+            const solver = new SparseCholesky(system.toCSR());
+            const x = b.map(function(bk) {
+                return solver.solve(bk);
+            });
+            for (let i = 0; i < N; i++) {
+                for (let k = 0; k < 3; k++) {
+                    this.vertices[i].pos[k] = x[k][i];
                 }
+            }
 
-                cycles.push(cycle);
+            // Step 3: Undo the shrinkage
+            if (preserveVolume && closed) {
+                const newVolume = this.getVolume();
+                if (newVolume != 0 && volume/newVolume > 0) {
+                    const fac = Math.cbrt(volume/newVolume);
+                    const c = this.getCentroid();
+                    for (const v of this.vertices) {
+                        vec3.subtract(v.pos, v.pos, c);
+                        vec3.scaleAndAdd(v.pos, c, v.pos, fac);
+                    }
+                }
             }
         }
-
-        return cycles;
+        this.needsDisplayUpdate = true;
     }
 
     /**
-     * Compute the genus of this mesh if it is watertight.
-     * If it is not watertight, return -1
+     * Simplify the mesh in place with Garland-Heckbert quadric error
+     * metrics, collapsing edges in order of increasing error and
+     * placing each merged vertex at the point that minimizes its error.
+     * Collapses that would change the topology or flip a face are
+     * skipped, and boundaries are held in place with constraint planes
      * 
-     * @returns {int} genus if watertight, or -1 if not
+     * @param {int} targetFaceCount Stop once there are this many faces
+     * 
+     * @returns {float} The largest quadric error of any collapse
+     *                  that was performed
      */
-    getGenus() {
-        let genus = -1;
-        // TODO: Fill this in (hint: there are two half edges for every edge!)
-
-        return genus;
-
-    }
+    decimate(targetFaceCount) {
+        const BOUNDARY_WEIGHT = 1000;
+        // Step 1: Initialize vertex quadrics from area weighted face planes
+        // and boundary constraint planes
+        let quadrics = new Map();
+        for (const v of this.vertices) {
+            quadrics.set(v, new Float64Array(10));
+        }
+        for (const f of this.faces) {
+            const area = f.getArea();
+            if (area == 0) {
+                continue;
+            }
+            const n = f.getNormal();
+            for (const v of f.getVertices()) {
+                addPlaneQuadric(quadrics.get(v), n, v.pos, area);
+            }
+        }
+        for (const h of this.edges) {
+            if (h.face === null) {
+                const a = h.pair.head;
+                const b = h.head;
+                let dir = getVectorBetweenPoints(b.pos, a.pos);
+                const len = vec3.length(dir);
+                let n = vec3.create();
+                vec3.cross(n, dir, h.pair.face.getNormal());
+                vec3.normalize(n, n);
+                addPlaneQuadric(quadrics.get(a), n, a.pos, BOUNDARY_WEIGHT*len*len);
+                addPlaneQuadric(quadrics.get(b), n, b.pos, BOUNDARY_WEIGHT*len*len);
+            }
+        }
+
+        // Step 2: Compute the optimal collapse of every edge
+        let heap = new MinHeap();
+        let stamps = new Map();
+        let stamp = 0;
+        function pushEdge(h) {
+            const Q = new Float64Array(10);
+            const Qa = quadrics.get(h.pair.head);
+            const Qb = quadrics.get(h.head);
+            for (let k = 0; k < 10; k++) {
+                Q[k] = Qa[k] + Qb[k];
+            }
+            let pos = getQuadricMinimizer(Q);
+            if (pos === null) {
+                // Fall back to the best of the endpoints and midpoint
+                let mid = vec3.create();
+                vec3.lerp(mid, h.head.pos, h.pair.head.pos, 0.5);
+                const choices = [h.head.pos, h.pair.head.pos, mid];
+                const errs = choices.map(function(p) {
+                    return evalQuadric(Q, p);
+                });
+                pos = vec3.clone(choices[errs.indexOf(Math.min(...errs))]);
+            }
+            stamp++;
+            stamps.set(h, stamp);
+            stamps.set(h.pair, stamp);
+            heap.push(Math.max(evalQuadric(Q, pos), 0), {'h':h, 'pos':pos, 'Q':Q, 'stamp':stamp});
+        }
+        for (const h of this.edges) {
+            if (h.ID < h.pair.ID) {
+                pushEdge(h);
+            }
+        }
+
+        // Step 3: Collapse edges in priority order
+        let maxError = 0;
+        while (this.faces.length > targetFaceCount && heap.size() > 0) {
+            const entry = heap.pop();
+            const h = entry.value.h;
+            if (h.ID < 0 || stamps.get(h) !== entry.value.stamp) {
+                continue; // This edge has changed since it was pushed
+            }
+            if (!this.canCollapseEdge(h) || this.collapseFlipsFace(h, entry.value.pos)) {
+                continue;
+            }
+            const b = this.collapseEdge(h, entry.value.pos);
+            quadrics.set(b, entry.value.Q);
+            maxError = Math.max(maxError, entry.key);
+            for (const e of b.getOutgoingEdges()) {
+                pushEdge(e);
+            }
+        }
+        this.needsDisplayUpdate = true;
+        return maxError;
+    }
+
+    /**
+     * Check whether moving both endpoints of an edge to a new position
+     * would flip the normal of any face that survives the collapse
+     * 
+     * @param {HEdge} h The half edge to collapse
+     * @param {glMatrix.vec3} pos Position of the merged vertex
+     * 
+     * @returns {boolean} True if some face would flip over
+     */
+    collapseFlipsFace(h, pos) {
+        const a = h.pair.head;
+        const b = h.head;
+        let faces = new Set();
+        for (const v of [a, b]) {
+            for (const e of v.getOutgoingEdges()) {
+                if (e.face !== null) {
+                    faces.add(e.face);
+                }
+            }
+        }
+        for (const f of faces) {
+            const vs = f.getVertices();
+            if (vs.includes(a) && vs.includes(b)) {
+                continue; // This face collapses or loses a vertex
+            }
+            const before = f.getNormal();
+            const ps = vs.map(function(v) {
+                return (v === a || v === b) ? pos : v.pos;
+            });
+            let after = vec3.create();
+            for (let k = 1; k < ps.length-1; k++) {
+                let cross = vec3.create();
+                vec3.cross(cross, getVectorBetweenPoints(ps[k], ps[0]), getVectorBetweenPoints(ps[k+1], ps[0]));
+                vec3.add(after, after, cross);
+            }
+            vec3.normalize(after, after);
+            if (vec3.dot(before, after) < 0.2) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    /**
+     * Compute statistics about the shape of the triangles in the mesh
+     * 
+     * @returns {object} {'minAngle': Smallest angle in any triangle (degrees),
+     *                    'maxAngle': Largest angle in any triangle (degrees),
+     *                    'meanQuality': Mean of 4*sqrt(3)*area/(sum of squared edge
+     *                                   lengths), which is 1 for equilateral triangles
+     *                                   and 0 for degenerate ones,
+     *                    'minQuality': Smallest quality of any triangle,
+     *                    'meanEdgeLength': Mean edge length,
+     *                    'edgeLengthStd': Standard deviation of the edge lengths}
+     */
+    getTriangleQuality() {
+        let stats = {'minAngle':180, 'maxAngle':0, 'meanQuality':0, 'minQuality':1, 
+                     'meanEdgeLength':0, 'edgeLengthStd':0};
+        let NTris = 0;
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            if (vs.length != 3) {
+                continue;
+            }
+            NTris++;
+            let sqrSum = 0;
+            for (let k = 0; k < 3; k++) {
+                const u = getVectorBetweenPoints(vs[(k+1)%3].pos, vs[k].pos);
+                const w = getVectorBetweenPoints(vs[(k+2)%3].pos, vs[k].pos);
+                const cos = vec3.dot(u, w)/(vec3.length(u)*vec3.length(w));
+                const angle = Math.acos(Math.max(-1, Math.min(1, cos)))*180/Math.PI;
+                stats.minAngle = Math.min(stats.minAngle, angle);
+                stats.maxAngle = Math.max(stats.maxAngle, angle);
+                sqrSum += vec3.sqrLen(u);
+            }
+            const quality = sqrSum > 0 ? 4*Math.sqrt(3)*f.getArea()/sqrSum : 0;
+            stats.meanQuality += quality;
+            stats.minQuality = Math.min(stats.minQuality, quality);
+        }
+        if (NTris > 0) {
+            stats.meanQuality /= NTris;
+        }
+        let lengths = [];
+        for (const h of this.edges) {
+            if (h.ID < h.pair.ID) {
+                lengths.push(vec3.distance(h.head.pos, h.pair.head.pos));
+            }
+        }
+        if (lengths.length > 0) {
+            const mean = lengths.reduce(function(a, b) {
+                return a + b;
+            }, 0)/lengths.length;
+            let variance = 0;
+            for (const l of lengths) {
+                variance += (l - mean)*(l - mean);
+            }
+            stats.meanEdgeLength = mean;
+            stats.edgeLengthStd = Math.sqrt(variance/lengths.length);
+        }
+        return stats;
+    }
+
+    /**
+     * Compute the total area of the faces of the mesh
+     * 
+     * @returns {float} The surface area
+     */
+    getSurfaceArea() {
+        let area = 0;
+        for (const f of this.faces) {
+            area += f.getArea();
+        }
+        return area;
+    }
+
+    /**
+     * Compute the signed volume enclosed by the mesh with the divergence
+     * theorem, as a third of the integral of x dot n over the surface.
+     * This is positive if the normals point outward, and is only
+     * meaningful if the mesh is watertight
+     * 
+     * @returns {float} The signed volume
+     */
+    getVolume() {
+        let volume = 0;
+        for (const f of this.faces) {
+            // x dot n is constant over a flat face, so use any point on it
+            volume += f.getArea()*vec3.dot(f.h.head.pos, f.getNormal())/3;
+        }
+        return volume;
+    }
+
+    /**
+     * Compute the centroid of the mesh
+     * 
+     * @param {boolean} volumeBased If true (default), compute the center of mass
+     *                              of the solid enclosed by the mesh.  If false,
+     *                              compute the center of mass of the surface
+     * 
+     * @returns {glMatrix.vec3} The centroid
+     */
+    getCentroid(volumeBased) {
+        if (volumeBased === undefined) {
+            volumeBased = true;
+        }
+        let centroid = [0, 0, 0];
+        let total = 0;
+        let cross = vec3.create();
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            for (let i = 1; i < vs.length-1; i++) {
+                const a = vs[0].pos;
+                const b = vs[i].pos;
+                const c = vs[i+1].pos;
+                let weight = 0;
+                if (volumeBased) {
+                    // Signed volume of the tetrahedron with the origin
+                    vec3.cross(cross, b, c);
+                    weight = vec3.dot(a, cross)/6;
+                }
+                else {
+                    vec3.cross(cross, getVectorBetweenPoints(b, a), getVectorBetweenPoints(c, a));
+                    weight = vec3.length(cross)/2;
+                }
+                // The centroid of the tetrahedron includes the origin as a fourth point
+                const denom = volumeBased ? 4 : 3;
+                for (let k = 0; k < 3; k++) {
+                    centroid[k] += weight*(a[k] + b[k] + c[k])/denom;
+                }
+                total += weight;
+            }
+        }
+        if (total == 0) {
+            total = 1;
+        }
+        return vec3.fromValues(centroid[0]/total, centroid[1]/total, centroid[2]/total);
+    }
+
+    /**
+     * Compute the inertia tensor of the solid enclosed by the mesh
+     * with unit density, about its centroid.  The solid is split into
+     * signed tetrahedra with the origin, whose second moments are found
+     * from that of a canonical tetrahedron
+     * 
+     * @returns {list} A 3x3 list of lists with the inertia tensor
+     */
+    getInertiaTensor() {
+        // Second moments, integral of x x^T, of the canonical tetrahedron
+        // with vertices at the origin and the unit vectors
+        const canonical = [[2, 1, 1], [1, 2, 1], [1, 1, 2]].map(function(row) {
+            return row.map(function(x) {
+                return x/120;
+            });
+        });
+        let C = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let cross = vec3.create();
+        let volume = 0;
+        let moment = [0, 0, 0];
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            for (let i = 1; i < vs.length-1; i++) {
+                const A = [vs[0].pos, vs[i].pos, vs[i+1].pos];
+                vec3.cross(cross, A[1], A[2]);
+                const det = vec3.dot(A[0], cross);
+                volume += det/6;
+                for (let k = 0; k < 3; k++) {
+                    moment[k] += det*(A[0][k] + A[1][k] + A[2][k])/24;
+                }
+                // C += det*A*canonical*A^T, where the points are the columns of A
+                for (let r = 0; r < 3; r++) {
+                    for (let c = 0; c < 3; c++) {
+                        for (let j = 0; j < 3; j++) {
+                            for (let k = 0; k < 3; k++) {
+                                C[r][c] += det*A[j][r]*canonical[j][k]*A[k][c];
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        // Move the second moments to the centroid, then convert to inertia
+        if (volume != 0) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    C[r][c] -= moment[r]*moment[c]/volume;
+                }
+            }
+        }
+        const trace = C[0][0] + C[1][1] + C[2][2];
+        return C.map(function(row, r) {
+            return row.map(function(x, c) {
+                return (r == c ? trace : 0) - x;
+            });
+        });
+    }
+
+    /**
+     * Compute all of the integral properties of the mesh at once
+     * 
+     * @param {boolean} volumeBased Whether the centroid is of the solid
+     *                              or of the surface (see getCentroid)
+     * 
+     * @returns {object} {'surfaceArea': See getSurfaceArea,
+     *                    'volume': See getVolume,
+     *                    'centroid': See getCentroid,
+     *                    'inertia': See getInertiaTensor}
+     */
+    getIntegralProperties(volumeBased) {
+        return {'surfaceArea':this.getSurfaceArea(), 'volume':this.getVolume(), 
+                'centroid':this.getCentroid(volumeBased), 'inertia':this.getInertiaTensor()};
+    }
+
+    /**
+     * Remesh a triangle mesh in place so that its edges are all close
+     * to a target length and its vertices have valence close to 6
+     * (Botsch and Kobbelt 2004).  Each iteration splits long edges,
+     * collapses short edges, flips edges to improve valence, and moves
+     * vertices tangentially towards the centroid of their neighbors before
+     * projecting them back onto the original surface.  Boundary edges are
+     * split and collapsed too, and boundary vertices slide along the
+     * original boundary curves, so that the triangles next to the boundary
+     * improve along with the rest.  Corners where the boundary turns by
+     * more than 45 degrees stay in place, unless two of them are joined by
+     * an edge that's too short
+     * 
+     * @param {float} targetLength The target edge length
+     * @param {int} iterations Number of iterations to perform
+     * 
+     * @returns {object} {'before': Triangle quality before remeshing,
+     *                    'after': Triangle quality after remeshing}
+     *                   (see getTriangleQuality)
+     */
+    remeshIsotropic(targetLength, iterations) {
+        for (const f of this.faces) {
+            if (f.getEdges().length != 3) {
+                throw "Error (HedgeMesh.remeshIsotropic): Mesh must be a triangle mesh";
+            }
+        }
+        const before = this.getTriangleQuality();
+        const high = 4*targetLength/3;
+        const low = 4*targetLength/5;
+        const triangles = this.faces.map(function(f) {
+            return f.getVertices().map(function(v) {
+                return vec3.clone(v.pos);
+            });
+        });
+        const grid = new TriangleGrid(triangles, 2*Math.max(targetLength, before.meanEdgeLength));
+        function edgeLength(h) {
+            return vec3.distance(h.head.pos, h.pair.head.pos);
+        }
+        function valenceTarget(v) {
+            return v.isBoundary() ? 4 : 6;
+        }
+        // The vertices before and after a vertex on the boundary, or null
+        // if the boundary passes through it more than once
+        function boundaryNeighbors(v) {
+            const out = v.getOutgoingEdges().filter(function(e) {
+                return e.face === null;
+            });
+            if (out.length != 1) {
+                return null;
+            }
+            return [out[0].prev.pair.head, out[0].head];
+        }
+        function isCorner(v) {
+            const nbrs = boundaryNeighbors(v);
+            if (nbrs === null) {
+                return true;
+            }
+            const u = getVectorBetweenPoints(v.pos, nbrs[0].pos);
+            const w = getVectorBetweenPoints(nbrs[1].pos, v.pos);
+            return vec3.dot(u, w) < Math.SQRT1_2*vec3.length(u)*vec3.length(w);
+        }
+        function closestPointOnSegments(p, segments) {
+            let best = null;
+            let bestDist = Infinity;
+            for (const [a, b] of segments) {
+                const ab = getVectorBetweenPoints(b, a);
+                const denom = vec3.sqrLen(ab);
+                const t = denom > 0 ? vec3.dot(getVectorBetweenPoints(p, a), ab)/denom : 0;
+                let q = vec3.create();
+                vec3.scaleAndAdd(q, a, ab, Math.max(0, Math.min(1, t)));
+                const dist = vec3.sqrDist(p, q);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = q;
+                }
+            }
+            return best;
+        }
+        // Boundary vertices are projected back onto the original boundary
+        const boundarySegments = this.edges.filter(function(h) {
+            return h.face === null;
+        }).map(function(h) {
+            return [vec3.clone(h.pair.head.pos), vec3.clone(h.head.pos)];
+        });
+
+        for (let it = 0; it < iterations; it++) {
+            // Step 1: Split long edges
+            for (const h of this.edges.slice()) {
+                if (h.ID >= 0 && h.ID < h.pair.ID && edgeLength(h) > high) {
+                    this.splitEdge(h);
+                }
+            }
+
+            // Step 2: Collapse short edges, as long as that doesn't make any
+            // long edges.  Interior edges collapse to their midpoints, but a
+            // boundary vertex stays where it is and takes in the other end.
+            // Along the boundary, a corner takes in its neighbor.  Two
+            // corners joined by a short edge are merged, since the detail
+            // between them is smaller than the target length anyway
+            for (let h of this.edges.slice()) {
+                if (h.ID < 0 || h.ID > h.pair.ID || edgeLength(h) >= low) {
+                    continue;
+                }
+                let pos = vec3.create();
+                if (!h.pair.head.isBoundary() && !h.head.isBoundary()) {
+                    vec3.lerp(pos, h.pair.head.pos, h.head.pos, 0.5);
+                }
+                else {
+                    // Keep the head of h, and remove its tail
+                    if (h.pair.head.isBoundary() && (!h.head.isBoundary() || isCorner(h.pair.head))) {
+                        h = h.pair;
+                    }
+                    if (h.pair.head.isBoundary() && !h.isBoundary()) {
+                        continue;
+                    }
+                    vec3.copy(pos, h.head.pos);
+                }
+                const a = h.pair.head;
+                const b = h.head;
+                let tooLong = false;
+                for (const v of [a, b]) {
+                    for (const e of v.getOutgoingEdges()) {
+                        tooLong = tooLong || vec3.distance(pos, e.head.pos) > high;
+                    }
+                }
+                if (!tooLong && this.canCollapseEdge(h) && !this.collapseFlipsFace(h, pos)) {
+                    this.collapseEdge(h, pos);
+                }
+            }
+
+            // Step 3: Flip edges that bring valences closer to their targets
+            for (const h of this.edges.slice()) {
+                if (h.ID < 0 || h.ID > h.pair.ID || !this.canFlipEdge(h)) {
+                    continue;
+                }
+                const vs = [h.pair.head, h.head, h.next.head, h.pair.next.head];
+                const change = [-1, -1, 1, 1];
+                let devBefore = 0;
+                let devAfter = 0;
+                for (let k = 0; k < 4; k++) {
+                    const valence = vs[k].getOutgoingEdges().length;
+                    devBefore += Math.abs(valence - valenceTarget(vs[k]));
+                    devAfter += Math.abs(valence + change[k] - valenceTarget(vs[k]));
+                }
+                if (devAfter < devBefore) {
+                    // Don't flip if the new triangles would fold over
+                    const n1 = h.face.getNormal();
+                    const n2 = h.pair.face.getNormal();
+                    this.flipEdge(h);
+                    const m1 = h.face.getNormal();
+                    const m2 = h.pair.face.getNormal();
+                    if (vec3.dot(m1, n1) < 0 || vec3.dot(m1, n2) < 0 || 
+                        vec3.dot(m2, n1) < 0 || vec3.dot(m2, n2) < 0) {
+                        this.flipEdge(h);
+                    }
+                }
+            }
+
+            // Step 4: Tangential relaxation onto the original surface, and
+            // along the original boundary for boundary vertices
+            let newPos = [];
+            for (const v of this.vertices) {
+                if (v.h === null || (v.isBoundary() && isCorner(v))) {
+                    newPos.push(v.pos);
+                    continue;
+                }
+                if (v.isBoundary()) {
+                    // Slide towards the midpoint of its neighbors along its
+                    // own boundary edges first, so that it can't jump across
+                    // to another part of the boundary that happens to be close
+                    const nbrs = boundaryNeighbors(v);
+                    let q = vec3.create();
+                    vec3.lerp(q, nbrs[0].pos, nbrs[1].pos, 0.5);
+                    q = closestPointOnSegments(q, [[nbrs[0].pos, v.pos], [v.pos, nbrs[1].pos]]);
+                    newPos.push(closestPointOnSegments(q, boundarySegments));
+                    continue;
+                }
+                const neighbors = v.getOutgoingEdges().map(function(e) {
+                    return e.head;
+                });
+                let q = vec3.create();
+                for (const u of neighbors) {
+                    vec3.add(q, q, u.pos);
+                }
+                vec3.scale(q, q, 1/neighbors.length);
+                let n = v.getNormal();
+                vec3.normalize(n, n);
+                let p = getVectorBetweenPoints(v.pos, q);
+                vec3.scaleAndAdd(p, q, n, vec3.dot(n, p));
+                newPos.push(grid.closestPoint(p));
+            }
+            for (let i = 0; i < this.vertices.length; i++) {
+                this.vertices[i].pos = newPos[i];
+            }
+        }
+        this.needsDisplayUpdate = true;
+        return {'before':before, 'after':this.getTriangleQuality()};
+    }
+
+
+    /**
+     * Trace a line of curvature across the triangles of the mesh,
+     * starting at the centroid of a face and following the principal
+     * direction field in both directions.  The direction on each face
+     * is the average of the directions at its corners
+     * 
+     * @param {HFace} face The face to start on
+     * @param {list} principal The principal curvatures of every vertex
+     *                         (see HVertex.getPrincipalCurvatures)
+     * @param {boolean} maxDir If true, follow the direction of maximum
+     *                         curvature.  If false, follow the minimum
+     * @param {int} maxSteps The maximum number of faces to cross
+     *                       in each direction
+     * 
+     * @returns {list} A list of glMatrix.vec3 points along the line
+     */
+    traceCurvatureLine(face, principal, maxDir, maxSteps) {
+        const key = maxDir ? 'd1' : 'd2';
+        function faceDirection(f, ref) {
+            let d = vec3.create();
+            for (const v of f.getVertices()) {
+                const pc = principal[v.ID];
+                if (pc === null) {
+                    continue;
+                }
+                let dv = pc[key];
+                const sign = (vec3.dot(dv, ref) < 0) ? -1 : 1;
+                vec3.scaleAndAdd(d, d, dv, sign);
+            }
+            const n = f.getNormal();
+            vec3.scaleAndAdd(d, d, n, -vec3.dot(d, n));
+            if (vec3.length(d) == 0) {
+                return null;
+            }
+            return vec3.normalize(d, d);
+        }
+        function barycentric(p, ps) {
+            const v0 = getVectorBetweenPoints(ps[1], ps[0]);
+            const v1 = getVectorBetweenPoints(ps[2], ps[0]);
+            const v2 = getVectorBetweenPoints(p, ps[0]);
+            const d00 = vec3.dot(v0, v0);
+            const d01 = vec3.dot(v0, v1);
+            const d11 = vec3.dot(v1, v1);
+            const d20 = vec3.dot(v2, v0);
+            const d21 = vec3.dot(v2, v1);
+            const denom = d00*d11 - d01*d01;
+            const b1 = (d11*d20 - d01*d21)/denom;
+            const b2 = (d00*d21 - d01*d20)/denom;
+            return [1 - b1 - b2, b1, b2];
+        }
+        function trace(f, p, d) {
+            let points = [];
+            for (let step = 0; step < maxSteps && f !== null; step++) {
+                const edges = f.getEdges();
+                if (edges.length != 3) {
+                    break;
+                }
+                const ps = edges.map(function(h) {
+                    return h.head.pos;
+                });
+                // Find where the ray leaves the triangle in barycentric coordinates
+                const lambda = barycentric(p, ps);
+                let q = vec3.create();
+                vec3.add(q, p, d);
+                const lambdaQ = barycentric(q, ps);
+                let tExit = Infinity;
+                let exit = -1;
+                for (let k = 0; k < 3; k++) {
+                    const dl = lambdaQ[k] - lambda[k];
+                    if (dl < 0) {
+                        const t = -lambda[k]/dl;
+                        if (t < tExit) {
+                            tExit = t;
+                            exit = k;
+                        }
+                    }
+                }
+                if (exit == -1) {
+                    break;
+                }
+                p = vec3.scaleAndAdd(vec3.create(), p, d, Math.max(tExit, 0));
+                points.push(p);
+                // The edge opposite corner k goes from corner k+1 to corner k+2
+                const next = edges[(exit+2)%3].pair.face;
+                if (next === null) {
+                    break;
+                }
+                const dNext = faceDirection(next, d);
+                if (dNext === null || vec3.dot(dNext, d) < 0.5) {
+                    break; // Stop at singularities of the direction field
+                }
+                f = next;
+                d = dNext;
+            }
+            return points;
+        }
+        let start = vec3.create();
+        const vs = face.getVertices();
+        for (const v of vs) {
+            vec3.scaleAndAdd(start, start, v.pos, 1/vs.length);
+        }
+        let d = faceDirection(face, principal[vs[0].ID] === null ? face.getNormal() : principal[vs[0].ID][key]);
+        if (d === null) {
+            return [start];
+        }
+        let back = vec3.create();
+        vec3.negate(back, d);
+        const forward = trace(face, start, d);
+        const backward = trace(face, start, back);
+        return backward.reverse().concat([start]).concat(forward);
+    }
+
+
+    /////////////////////////////////////////////////////////////
+    ////                  TOPOLOGICAL TASKS                 /////
+    /////////////////////////////////////////////////////////////
+    /**
+     * Convert this mesh into a triangle mesh in place by cutting
+     * every polygon along the diagonals of its ear clipping 
+     * triangulation (see HFace.getTriangles())
+     * 
+     * @returns {int} The number of triangles that were added
+     */
+    triangulate() {
+        const NFaces = this.faces.length;
+        let added = 0;
+        for (let f = 0; f < NFaces; f++) {
+            const face = this.faces[f];
+            const tris = face.getTriangles();
+            // incoming[i] is the half edge of what is left of the face
+            // whose head is vertex i
+            let incoming = face.getEdges();
+            for (let t = 0; t < tris.length-1; t++) {
+                // Cut the ear [a, b, c] off to a new face along c -> a
+                const a = tris[t][0];
+                const c = tris[t][2];
+                incoming[c] = this.splitFace(incoming[a], incoming[c]);
+                added++;
+            }
+        }
+        return added;
+    }
+
+    /**
+     * Find the seams along which a non-orientable surface was cut open 
+     * when it was loaded so that it could be stored as a half edge mesh.
+     * These are the edges on which orientFaceLists found that the faces
+     * on either side could not agree on an orientation.  Seams whose edges
+     * have since been removed from the mesh are skipped, and meshes that are
+     * built from scratch (such as subdivisions) do not have any seams
+     * 
+     * @returns {list} A list of [HEdge, HEdge] pairs of boundary half edges
+     */
+    getOrientationSeams() {
+        const edges = this.edges;
+        return this.orientationSeams.filter(function(seam) {
+            return edges[seam[0].ID] === seam[0] && edges[seam[1].ID] === seam[1];
+        });
+    }
+
+    /**
+     * Determine whether the surface this mesh represents is orientable.
+     * The half edge structure itself is always consistently oriented, so
+     * this checks whether it has been cut open along seams where the
+     * orientation conflicts (see getOrientationSeams)
+     * 
+     * @returns {boolean} True if the surface is orientable, false otherwise
+     */
+    isOrientable() {
+        return this.getOrientationSeams().length == 0;
+    }
+
+    /**
+     * Reverse the orientation of every face, so that all normals
+     * point the other way
+     * 
+     * @param {object} component If specified, only reverse the faces of this
+     *                           connected component (see getConnectedComponents)
+     */
+    reverseOrientation(component) {
+        let edges = this.edges;
+        let vertices = this.vertices;
+        if (component !== undefined) {
+            vertices = component.vertices;
+            edges = new Set();
+            for (const v of vertices) {
+                for (const h of v.getOutgoingEdges()) {
+                    edges.add(h);
+                    edges.add(h.pair);
+                }
+            }
+        }
+        // Every half edge now goes from its head to its tail, 
+        // so the cycles around faces and boundaries run backwards
+        let tails = new Map();
+        for (const h of edges) {
+            tails.set(h, h.pair.head);
+        }
+        for (const h of edges) {
+            const next = h.next;
+            h.next = h.prev;
+            h.prev = next;
+            h.head = tails.get(h);
+        }
+        for (const v of vertices) {
+            if (v.h !== null) {
+                v.h = v.h.pair;
+            }
+        }
+        // The pair of a boundary vertex's edge may now be a boundary edge,
+        // so point those vertices back to an outgoing edge that has a face
+        for (const h of edges) {
+            const v = h.pair.head;
+            if (h.face !== null && v.h.face === null) {
+                v.h = h;
+            }
+        }
+        this.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Orient each connected component so that its normals point outward,
+     * meaning that it encloses a positive signed volume.  For components
+     * with boundary, the volume is measured from the component's vertex
+     * centroid, so this picks the side of a cap or patch that bulges out
+     * 
+     * @returns {int} The number of components that were reversed
+     */
+    orientOutward() {
+        let reversed = 0;
+        for (const component of this.getConnectedComponents().components) {
+            if (component.faces.length == 0) {
+                continue;
+            }
+            let origin = vec3.create();
+            for (const v of component.vertices) {
+                vec3.scaleAndAdd(origin, origin, v.pos, 1/component.vertices.length);
+            }
+            // Add up the signed volumes of the tetrahedra from the origin
+            // to a fan of triangles on each face
+            let volume = 0;
+            let a = vec3.create();
+            let b = vec3.create();
+            let c = vec3.create();
+            let n = vec3.create();
+            for (const f of component.faces) {
+                const vs = f.getVertices();
+                vec3.subtract(a, vs[0].pos, origin);
+                for (let i = 1; i < vs.length-1; i++) {
+                    vec3.subtract(b, vs[i].pos, origin);
+                    vec3.subtract(c, vs[i+1].pos, origin);
+                    vec3.cross(n, b, c);
+                    volume += vec3.dot(a, n)/6;
+                }
+            }
+            if (volume < 0) {
+                this.reverseOrientation(component);
+                reversed++;
+            }
+        }
+        return reversed;
+    }
+
+    /**
+     * Return a list of boundary cycles
+     * 
+     * @returns {list} A list of cycles, each of which is
+     *                 its own list of HEdge objects corresponding
+     *                 to a unique cycle
+     */
+    getBoundaryCycles() {
+        let cycles = [];
+        for(let edge of this.edges) {
+            edge.isChecked = false;
+        }
+        for(let edge of this.edges) {
+            if(edge.face === null && !edge.isChecked) {
+                let cycle = [edge];
+                edge.isChecked = true;
+                let iterated = edge.next;
+
+                while(iterated.head.ID != edge.head.ID) {
+                    cycle.push(iterated);
+                    iterated.isChecked = true
+                    iterated = iterated.next;
+                }
+
+                cycles.push(cycle);
+            }
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Fill a hole in the mesh with triangles
+     * 
+     * @param {list} cycle A list of boundary HEdge objects going around
+     *                     the hole, as returned by getBoundaryCycles
+     * @param {string} mode How to fill the hole
+     *                      'fan': Connect every vertex to the first one
+     *                      'minarea': The triangulation of the boundary
+     *                                 with the least total area
+     *                      'liepa': Following Liepa (2003), start from the
+     *                               least area triangulation, refine it until
+     *                               its edge lengths match those around the
+     *                               hole, then fair it so that it blends
+     *                               smoothly into the surrounding surface
+     * 
+     * @returns {list} A list of the new HFace objects
+     */
+    fillHole(cycle, mode) {
+        const N = cycle.length;
+        if (N < 3) {
+            return [];
+        }
+        // Vertex k is the tail of edge k
+        const vs = cycle.map(function(h) {
+            return h.pair.head;
+        });
+        // Average length of the edges around each boundary vertex, which is
+        // used as the target edge length near that vertex when refining
+        let sigma = new Map();
+        for (const v of vs) {
+            let total = 0;
+            const out = v.getOutgoingEdges();
+            for (const h of out) {
+                total += vec3.distance(v.pos, h.head.pos);
+            }
+            sigma.set(v, total/out.length);
+        }
+
+        // Step 1: Find the triangulation as the apex m that splits off
+        // a triangle (i, m, j) from each polygon vi, ..., vj.  The least
+        // area triangulation is found by dynamic programming.  For Liepa's
+        // method, the largest dihedral angle is minimized first, using the
+        // faces outside of the hole for the boundary edges
+        let apex = new Int32Array(N*N);
+        if (mode == 'fan') {
+            for (let j = 2; j < N; j++) {
+                apex[j] = j-1;
+            }
+        }
+        else {
+            const useAngles = mode == 'liepa';
+            let area = new Float64Array(N*N);
+            let angle = new Float64Array(N*N);
+            // Unit normals of the best triangle (i, m, j) for each i, j, and
+            // of the faces outside of the hole across each boundary edge
+            let normals = new Float64Array(N*N*3);
+            let outside = new Float64Array(N*3);
+            for (let i = 0; i < N; i++) {
+                const n = cycle[i].pair.face.getNormal();
+                vec3.normalize(n, n);
+                outside.set(n, i*3);
+            }
+            function getDihedral(n, i, j) {
+                // Angle between the normal n and the face across the edge vi, vj
+                const other = j == i+1 ? outside : normals;
+                const k = j == i+1 ? i*3 : (i*N+j)*3;
+                const dot = n[0]*other[k] + n[1]*other[k+1] + n[2]*other[k+2];
+                return Math.acos(Math.max(-1, Math.min(1, dot)));
+            }
+            let n = [0, 0, 0];
+            for (let len = 2; len < N; len++) {
+                for (let i = 0; i + len < N; i++) {
+                    const j = i + len;
+                    const pi = vs[i].pos;
+                    const pj = vs[j].pos;
+                    let bestAngle = Infinity;
+                    let bestArea = Infinity;
+                    for (let m = i+1; m < j; m++) {
+                        const pm = vs[m].pos;
+                        const u = [pm[0]-pi[0], pm[1]-pi[1], pm[2]-pi[2]];
+                        const w = [pj[0]-pi[0], pj[1]-pi[1], pj[2]-pi[2]];
+                        n[0] = u[1]*w[2] - u[2]*w[1];
+                        n[1] = u[2]*w[0] - u[0]*w[2];
+                        n[2] = u[0]*w[1] - u[1]*w[0];
+                        const len2 = Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2]);
+                        const a = area[i*N+m] + area[m*N+j] + len2/2;
+                        let ang = 0;
+                        if (useAngles) {
+                            if (len2 > 0) {
+                                n[0] /= len2;
+                                n[1] /= len2;
+                                n[2] /= len2;
+                            }
+                            ang = Math.max(angle[i*N+m], angle[m*N+j]);
+                            if (ang < bestAngle + 1e-9) {
+                                ang = Math.max(ang, getDihedral(n, i, m), getDihedral(n, m, j));
+                            }
+                            if (len == N-1) {
+                                ang = Math.max(ang, getDihedral(n, N-1, N));
+                            }
+                        }
+                        if (ang < bestAngle - 1e-9 || (ang < bestAngle + 1e-9 && a < bestArea)) {
+                            bestAngle = ang;
+                            bestArea = a;
+                            apex[i*N+j] = m;
+                            normals.set(n, (i*N+j)*3);
+                        }
+                    }
+                    area[i*N+j] = bestArea;
+                    angle[i*N+j] = bestAngle;
+                }
+            }
+        }
+
+        // Step 2: Make the hole into one big face, then split it
+        // into the triangles
+        let patch = new Set();
+        const face = this.addFace();
+        face.h = cycle[0];
+        for (const h of cycle) {
+            h.face = face;
+        }
+        patch.add(face);
+        const mesh = this;
+        function split(i, j, close) {
+            // The polygon is cycle[i], ..., cycle[j-1], then close from vj to vi
+            if (j - i < 2) {
+                return;
+            }
+            const m = apex[i*N+j];
+            let toM = cycle[m-1];
+            if (m > i+1) {
+                const d = mesh.splitFace(cycle[m-1], close);
+                patch.add(d.pair.face);
+                split(i, m, d);
+                toM = d.pair;
+            }
+            if (j > m+1) {
+                const e = mesh.splitFace(cycle[j-1], toM);
+                patch.add(e.pair.face);
+                split(m, j, e);
+            }
+        }
+        split(0, N-1, cycle[N-1]);
+        if (mode != 'liepa') {
+            return Array.from(patch);
+        }
+
+        // Step 3: Split triangles at their centroids wherever the edges
+        // are long compared to the target lengths, and relax edges by
+        // flipping them so that the patch stays Delaunay
+        const alpha = Math.sqrt(2);
+        function relax(queue) {
+            // Flip edges until the angles opposite each edge add up to at most pi,
+            // checking the edges around each flipped edge again
+            const maxFlips = 10*patch.size;
+            for (let numFlips = 0; queue.length > 0 && numFlips < maxFlips;) {
+                const h = queue.pop();
+                if (!patch.has(h.face) || !patch.has(h.pair.face)) {
+                    continue;
+                }
+                const a = getVectorBetweenPoints(h.prev.head.pos, h.next.head.pos);
+                const b = getVectorBetweenPoints(h.head.pos, h.next.head.pos);
+                const c = getVectorBetweenPoints(h.pair.prev.head.pos, h.pair.next.head.pos);
+                const d = getVectorBetweenPoints(h.pair.head.pos, h.pair.next.head.pos);
+                if (vec3.angle(a, b) + vec3.angle(c, d) > Math.PI + 1e-6 && mesh.flipEdge(h) !== null) {
+                    queue.push(h.next, h.prev, h.pair.next, h.pair.prev);
+                    numFlips++;
+                }
+            }
+        }
+        let queue = [];
+        for (const f of patch) {
+            queue = queue.concat(f.getEdges());
+        }
+        relax(queue);
+        let newVertices = [];
+        for (let pass = 0; pass < 100; pass++) {
+            let numSplits = 0;
+            queue = [];
+            for (const f of Array.from(patch)) {
+                const fvs = f.getVertices();
+                let c = vec3.create();
+                let sc = 0;
+                for (const v of fvs) {
+                    vec3.scaleAndAdd(c, c, v.pos, 1/3);
+                    sc += sigma.get(v)/3;
+                }
+                const tooBig = fvs.every(function(v) {
+                    const d = alpha*vec3.distance(c, v.pos);
+                    return d > sc && d > sigma.get(v);
+                });
+                if (tooBig) {
+                    const v = this.pokeFace(f, c);
+                    sigma.set(v, sc);
+                    newVertices.push(v);
+                    for (const h of v.getOutgoingEdges()) {
+                        patch.add(h.face);
+                        queue.push(h.next);
+                    }
+                    numSplits++;
+                }
+            }
+            if (numSplits == 0) {
+                break;
+            }
+            relax(queue);
+        }
+
+        // Step 4: Fair the new vertices by moving them to minimize
+        // the squared umbrella operator applied twice (Kobbelt 1998)
+        let neighbors = new Map();
+        function getHeads(v) {
+            return v.getOutgoingEdges().map(function(h) {
+                return h.head;
+            });
+        }
+        for (const v of newVertices) {
+            for (const u of [v].concat(getHeads(v))) {
+                if (!neighbors.has(u)) {
+                    neighbors.set(u, getHeads(u));
+                }
+            }
+        }
+        let u1 = vec3.create();
+        function umbrella(u, v) {
+            // Put the umbrella operator at v into u
+            const nbrs = neighbors.get(v);
+            vec3.scale(u, v.pos, -1);
+            for (const w of nbrs) {
+                vec3.scaleAndAdd(u, u, w.pos, 1/nbrs.length);
+            }
+            return u;
+        }
+        let u2 = vec3.create();
+        for (let iter = 0; iter < 500; iter++) {
+            let maxMove = 0;
+            for (const v of newVertices) {
+                const nbrs = neighbors.get(v);
+                vec3.scale(u2, umbrella(u1, v), -1);
+                let nu = 1;
+                for (const w of nbrs) {
+                    vec3.scaleAndAdd(u2, u2, umbrella(u1, w), 1/nbrs.length);
+                    nu += 1/(nbrs.length*neighbors.get(w).length);
+                }
+                vec3.scaleAndAdd(v.pos, v.pos, u2, -1/nu);
+                maxMove = Math.max(maxMove, vec3.length(u2)/nu);
+            }
+            if (maxMove < 1e-6*sigma.get(vs[0])) {
+                break;
+            }
+        }
+        return Array.from(patch);
+    }
+
+    /**
+     * Fill every hole in the mesh with fewer than a given number of edges
+     * 
+     * @param {int} maxEdges Fill holes with fewer boundary edges than this
+     * @param {string} mode How to fill the holes (see fillHole)
+     * 
+     * @returns {int} The number of holes that were filled
+     */
+    fillHoles(maxEdges, mode) {
+        let count = 0;
+        for (const cycle of this.getBoundaryCycles()) {
+            if (cycle.length < maxEdges) {
+                this.fillHole(cycle, mode);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Find the connected components of the mesh, where two vertices are
+     * connected if there is a path of edges between them
+     * 
+     * @returns {object} {'vertexLabels': A list of the component index of each vertex,
+     *                    'faceLabels': A list of the component index of each face,
+     *                    'components': A list with, for each component,
+     *                                  {'vertices': List of HVertex objects,
+     *                                   'faces': List of HFace objects,
+     *                                   'area': Total area of the faces,
+     *                                   'boundaries': Number of boundary cycles,
+     *                                   'genus': Genus of the surface once its
+     *                                            boundaries are filled in}}
+     *                   Components are sorted from the most faces to the fewest
+     */
+    getConnectedComponents() {
+        // Step 1: Flood fill along edges from each unlabeled vertex
+        let labels = new Array(this.vertices.length).fill(-1);
+        let components = [];
+        for (const v of this.vertices) {
+            if (labels[v.ID] > -1) {
+                continue;
+            }
+            const label = components.length;
+            let component = {'vertices':[], 'faces':[], 'area':0, 'boundaries':0, 'genus':0};
+            labels[v.ID] = label;
+            let stack = [v];
+            while (stack.length > 0) {
+                const u = stack.pop();
+                component.vertices.push(u);
+                for (const h of u.getOutgoingEdges()) {
+                    if (labels[h.head.ID] == -1) {
+                        labels[h.head.ID] = label;
+                        stack.push(h.head);
+                    }
+                }
+            }
+            components.push(component);
+        }
+
+        // Step 2: Gather faces, and count edges and boundaries
+        let NEdges = new Array(components.length).fill(0);
+        for (const h of this.edges) {
+            const label = labels[h.head.ID];
+            NEdges[label] += 0.5;
+        }
+        for (const cycle of this.getBoundaryCycles()) {
+            components[labels[cycle[0].head.ID]].boundaries++;
+        }
+        for (const f of this.faces) {
+            const component = components[labels[f.h.head.ID]];
+            component.faces.push(f);
+            component.area += f.getArea();
+        }
+        for (let i = 0; i < components.length; i++) {
+            const c = components[i];
+            if (c.faces.length > 0) {
+                const chi = c.vertices.length - NEdges[i] + c.faces.length;
+                c.genus = (2 - chi - c.boundaries)/2;
+            }
+        }
+
+        // Step 3: Sort by size and label the vertices and faces
+        components.sort(function(a, b) {
+            return b.faces.length - a.faces.length;
+        });
+        let vertexLabels = new Array(this.vertices.length);
+        let faceLabels = new Array(this.faces.length);
+        for (let i = 0; i < components.length; i++) {
+            for (const v of components[i].vertices) {
+                vertexLabels[v.ID] = i;
+            }
+            for (const f of components[i].faces) {
+                faceLabels[f.ID] = i;
+            }
+        }
+        return {'vertexLabels':vertexLabels, 'faceLabels':faceLabels, 'components':components};
+    }
+
+    /**
+     * Remove a connected component from the mesh
+     * 
+     * @param {object} component A component from getConnectedComponents
+     */
+    removeComponent(component) {
+        for (const v of component.vertices) {
+            for (const h of v.getOutgoingEdges()) {
+                this.removeHedge(h);
+            }
+            this.removeVertex(v);
+        }
+        for (const f of component.faces) {
+            this.removeFace(f);
+        }
+        this.needsDisplayUpdate = true;
+    }
+
+    /**
+     * Remove every connected component except for the one with the most faces
+     * 
+     * @returns {int} The number of components that were removed
+     */
+    keepLargestComponent() {
+        const components = this.getConnectedComponents().components;
+        for (let i = 1; i < components.length; i++) {
+            this.removeComponent(components[i]);
+        }
+        return Math.max(components.length - 1, 0);
+    }
+
+    /**
+     * Remove the connected components that have too few faces or too little area
+     * 
+     * @param {int} minFaces Remove components with fewer faces than this
+     * @param {float} minArea Remove components with less area than this
+     *                        (0 by default)
+     * 
+     * @returns {int} The number of components that were removed
+     */
+    removeSmallComponents(minFaces, minArea) {
+        if (minArea === undefined) {
+            minArea = 0;
+        }
+        let count = 0;
+        for (const c of this.getConnectedComponents().components) {
+            if (c.faces.length < minFaces || c.area < minArea) {
+                this.removeComponent(c);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Make a separate mesh out of each connected component
+     * 
+     * @returns {list} A list of HedgeMesh objects, from the
+     *                 most faces to the fewest
+     */
+    splitComponents() {
+        let meshes = [];
+        for (const c of this.getConnectedComponents().components) {
+            let index = new Map();
+            const vertices = c.vertices.map(function(v, i) {
+                index.set(v, i);
+                return vec3.clone(v.pos);
+            });
+            const colors = c.vertices.map(function(v) {
+                return v.color;
+            });
+            const faces = c.faces.map(function(f) {
+                return f.getVertices().map(function(v) {
+                    return index.get(v);
+                });
+            });
+            let mesh = new HedgeMesh();
+            mesh.initFromFaceLists(vertices, colors, faces);
+            meshes.push(mesh);
+        }
+        return meshes;
+    }
+
+    /**
+     * Compute the genus of this mesh if it is watertight.
+     * If it is not watertight, return -1
+     * 
+     * @returns {int} genus if watertight, or -1 if not
+     */
+    getGenus() {
+        let genus = -1;
+        for (const h of this.edges) {
+            if (h.face === null) {
+                return genus;
+            }
+        }
+        const NVertices = this.vertices.filter(function(v) {
+            return v.h !== null;
+        }).length;
+        const chi = NVertices - this.edges.length/2 + this.faces.length;
+        genus = (2 - chi)/2;
+        return genus;
+
+    }
+
+    /**
+     * Compute the sum of the angle defects over all vertices, which
+     * by the discrete Gauss-Bonnet theorem is 2*pi times the Euler
+     * characteristic, or 2*pi*(2 - 2*genus) for a watertight mesh
+     * 
+     * @returns {float} The total Gaussian curvature
+     */
+    getTotalGaussianCurvature() {
+        let total = 0;
+        for (const v of this.vertices) {
+            if (v.h !== null) {
+                total += v.getAngleDefect();
+            }
+        }
+        return total;
+    }
 
 
     /////////////////////////////////////////////////////////////
@@ -674,4 +3656,679 @@ class HedgeMesh extends PolyMesh {
         // TODO: Fill this in
         return mesh;
     }
+
+    /**
+     * Linearly subdivide only the triangles that need more detail,
+     * using red-green refinement so that no T-junctions are left.
+     * Faces that meet the criterion are split into 4 ("red"), as are
+     * faces with 2 or more of their edges split by neighbors, and faces
+     * with exactly one split edge are bisected ("green")
+     * 
+     * @param {string} mode Which criterion to use:
+     *                      'length': Longest edge is longer than threshold
+     *                      'curvature': The normal of the face differs from the
+     *                                   normal of a neighbor by more than 
+     *                                   threshold degrees
+     *                      'screen': Longest edge is longer than threshold
+     *                                pixels when projected with the camera
+     * @param {float} threshold Threshold for the criterion
+     * @param {list} mask An optional list of booleans indexed by face ID.
+     *                    If specified, only faces that are true are
+     *                    considered for refinement
+     * @param {Camera3D} camera The camera to use in 'screen' mode
+     * 
+     * @returns {HedgeMesh} The refined mesh
+     */
+    subdivideAdaptive(mode, threshold, mask, camera) {
+        for (const f of this.faces) {
+            if (f.getEdges().length != 3) {
+                throw "Error (HedgeMesh.subdivideAdaptive): Mesh must be a triangle mesh";
+            }
+        }
+        let project = null;
+        if (mode == 'screen') {
+            if (camera === undefined) {
+                throw "Error (HedgeMesh.subdivideAdaptive): Need a camera in screen mode";
+            }
+            let PMV = glMatrix.mat4.create();
+            glMatrix.mat4.mul(PMV, camera.getPMatrix(), camera.getMVMatrix());
+            project = function(p) {
+                let q = glMatrix.vec4.fromValues(p[0], p[1], p[2], 1);
+                glMatrix.vec4.transformMat4(q, q, PMV);
+                return [q[0]/q[3]*camera.pixWidth/2, q[1]/q[3]*camera.pixHeight/2];
+            };
+        }
+        const cosThresh = Math.cos(threshold*Math.PI/180);
+
+        // Step 1: Mark the edges of faces that meet the criterion
+        let split = new Set(); // Half edges (both halves) to split
+        function splitEdges(f) {
+            for (const h of f.getEdges()) {
+                split.add(h);
+                split.add(h.pair);
+            }
+        }
+        for (const f of this.faces) {
+            if (mask !== undefined && !mask[f.ID]) {
+                continue;
+            }
+            const edges = f.getEdges();
+            let refine = false;
+            if (mode == 'length' || mode == 'screen') {
+                for (const h of edges) {
+                    let len = 0;
+                    if (mode == 'length') {
+                        len = vec3.distance(h.head.pos, h.pair.head.pos);
+                    }
+                    else {
+                        const p1 = project(h.head.pos);
+                        const p2 = project(h.pair.head.pos);
+                        len = Math.sqrt((p1[0]-p2[0])*(p1[0]-p2[0]) + (p1[1]-p2[1])*(p1[1]-p2[1]));
+                    }
+                    refine = refine || len > threshold;
+                }
+            }
+            else if (mode == 'curvature') {
+                const n = f.getNormal();
+                for (const h of edges) {
+                    if (h.pair.face !== null) {
+                        refine = refine || vec3.dot(n, h.pair.face.getNormal()) < cosThresh;
+                    }
+                }
+            }
+            else {
+                throw "Error (HedgeMesh.subdivideAdaptive): Unknown mode " + mode;
+            }
+            if (refine) {
+                splitEdges(f);
+            }
+        }
+
+        // Step 2: Close the refinement so every face has 0, 1 or 3 split edges
+        let stack = this.faces.slice();
+        while (stack.length > 0) {
+            const f = stack.pop();
+            const edges = f.getEdges();
+            const count = edges.filter(function(h) {
+                return split.has(h);
+            }).length;
+            if (count == 2) {
+                splitEdges(f);
+                for (const h of edges) {
+                    if (h.pair.face !== null) {
+                        stack.push(h.pair.face);
+                    }
+                }
+            }
+        }
+
+        // Step 3: Make the new faces
+        let positions = this.vertices.map(function(v) {
+            return vec3.clone(v.pos);
+        });
+        let midIdx = new Map();
+        for (const h of split) {
+            if (!midIdx.has(h)) {
+                let p = vec3.create();
+                vec3.lerp(p, h.head.pos, h.pair.head.pos, 0.5);
+                midIdx.set(h, positions.length);
+                midIdx.set(h.pair, positions.length);
+                positions.push(p);
+            }
+        }
+        let faces = [];
+        for (const f of this.faces) {
+            const edges = f.getEdges();
+            const ids = edges.map(function(h) {
+                return h.head.ID;
+            });
+            const mids = edges.map(function(h) {
+                return midIdx.has(h) ? midIdx.get(h) : -1;
+            });
+            const count = mids.filter(function(m) {
+                return m >= 0;
+            }).length;
+            if (count == 0) {
+                faces.push(ids);
+            }
+            else if (count == 3) {
+                // Red: split into 4
+                for (let k = 0; k < 3; k++) {
+                    faces.push([ids[k], mids[(k+1)%3], mids[k]]);
+                }
+                faces.push(mids);
+            }
+            else {
+                // Green: bisect from the split edge to the opposite corner.
+                // edges[k] ends at ids[k], so it starts at ids[k+2]
+                const k = mids.findIndex(function(m) {
+                    return m >= 0;
+                });
+                faces.push([ids[(k+2)%3], mids[k], ids[(k+1)%3]]);
+                faces.push([mids[k], ids[k], ids[(k+1)%3]]);
+            }
+        }
+        let mesh = new HedgeMesh();
+        mesh.initFromFaceLists(positions, undefined, faces);
+        return mesh;
+    }
+
+    /**
+     * Perform one step of Kobbelt's sqrt(3) subdivision on a triangle
+     * mesh.  A vertex is added at the center of every triangle and
+     * connected to its corners, the original vertices are relaxed
+     * towards their neighbors, and then every original interior edge
+     * is flipped, which triples the number of triangles.  Boundaries
+     * are refined on every other step, as in Kobbelt's paper: in the
+     * steps in between, boundary vertices stay in place and boundary
+     * edges are left alone, and in the steps that split the boundary,
+     * every boundary edge is split into three and the boundary vertices
+     * are moved with the masks of a cubic B-spline curve
+     * 
+     * @param {boolean} splitBoundary If true, split the boundary edges
+     *                                into three.  By default, false
+     * 
+     * @returns {HedgeMesh} The subdivided mesh
+     */
+    subdivideSqrt3(splitBoundary) {
+        if (splitBoundary === undefined) {
+            splitBoundary = false;
+        }
+        const NV = this.vertices.length;
+        // Step 1: Relax the original vertices
+        let positions = [];
+        for (const v of this.vertices) {
+            let p = vec3.clone(v.pos);
+            if (v.h !== null && !v.isBoundary()) {
+                const neighbors = v.getOutgoingEdges().map(function(h) {
+                    return h.head;
+                });
+                const n = neighbors.length;
+                const alpha = (4 - 2*Math.cos(2*Math.PI/n))/9;
+                vec3.scale(p, p, 1-alpha);
+                for (const u of neighbors) {
+                    vec3.scaleAndAdd(p, p, u.pos, alpha/n);
+                }
+            }
+            positions.push(p);
+        }
+        if (splitBoundary) {
+            // Each boundary half edge goes from its tail to its head, and
+            // the boundary vertex before its tail is the tail of its prev
+            for (const g of this.edges) {
+                if (g.face === null) {
+                    const v = g.pair.head;
+                    let p = vec3.create();
+                    vec3.scaleAndAdd(p, p, g.prev.pair.head.pos, 4/27);
+                    vec3.scaleAndAdd(p, p, v.pos, 19/27);
+                    vec3.scaleAndAdd(p, p, g.head.pos, 4/27);
+                    positions[v.ID] = p;
+                }
+            }
+        }
+
+        // Step 2: Split each face into a triangle fan around its center.
+        // If the boundary is being split, the sides of the faces on the
+        // boundary go through two new vertices a third of the way along
+        let faces = [];
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            let center = vec3.create();
+            for (const v of vs) {
+                vec3.add(center, center, v.pos);
+            }
+            vec3.scale(center, center, 1/vs.length);
+            const c = positions.length;
+            positions.push(center);
+            for (const h of f.getEdges()) {
+                const a = h.pair.head;
+                const b = h.head;
+                if (!splitBoundary || h.pair.face !== null) {
+                    faces.push([a.ID, b.ID, c]);
+                    continue;
+                }
+                // The boundary goes from b to a along h.pair
+                const before = h.pair.next.head;
+                const after = h.pair.prev.pair.head;
+                let p1 = vec3.create();
+                vec3.scaleAndAdd(p1, p1, before.pos, 1/27);
+                vec3.scaleAndAdd(p1, p1, a.pos, 16/27);
+                vec3.scaleAndAdd(p1, p1, b.pos, 10/27);
+                let p2 = vec3.create();
+                vec3.scaleAndAdd(p2, p2, a.pos, 10/27);
+                vec3.scaleAndAdd(p2, p2, b.pos, 16/27);
+                vec3.scaleAndAdd(p2, p2, after.pos, 1/27);
+                const e1 = positions.length;
+                const e2 = e1 + 1;
+                positions.push(p1);
+                positions.push(p2);
+                faces.push([a.ID, e1, c]);
+                faces.push([e1, e2, c]);
+                faces.push([e2, b.ID, c]);
+            }
+        }
+        let mesh = new HedgeMesh();
+        mesh.initFromFaceLists(positions, undefined, faces);
+
+        // Step 3: Flip the original interior edges
+        let toFlip = [];
+        for (const h of mesh.edges) {
+            if (h.ID < h.pair.ID && h.head.ID < NV && h.pair.head.ID < NV && !h.isBoundary()) {
+                toFlip.push(h);
+            }
+        }
+        for (const h of toFlip) {
+            mesh.flipEdge(h);
+        }
+        return mesh;
+    }
+
+    /**
+     * Perform one step of modified Butterfly subdivision (Zorin et al.)
+     * on a triangle mesh.  This is an interpolating scheme: the original
+     * vertices stay where they are, and every edge gets a new vertex
+     * computed from a stencil around it, splitting each triangle into 4.
+     * Edges between two regular (valence 6) vertices use the 8 point
+     * butterfly stencil, edges next to extraordinary vertices use the
+     * stencil of those vertices, boundary edges use the 4 point curve
+     * scheme, and interior edges whose stencil reaches the boundary
+     * fall back to a local average
+     * 
+     * @returns {HedgeMesh} The subdivided mesh
+     */
+    subdivideButterfly() {
+        for (const f of this.faces) {
+            if (f.getEdges().length != 3) {
+                throw "Error (HedgeMesh.subdivideButterfly): Mesh must be a triangle mesh";
+            }
+        }
+        let positions = this.vertices.map(function(v) {
+            return vec3.clone(v.pos);
+        });
+
+        /**
+         * Compute the stencil around a vertex v for an edge leaving v
+         * along h, or null if v is on the boundary
+         */
+        function vertexStencil(h) {
+            const v = h.pair.head;
+            if (v.isBoundary()) {
+                return null;
+            }
+            // Order the neighbors starting at the other end of the edge
+            let out = v.getOutgoingEdges();
+            const start = out.indexOf(h);
+            out = out.slice(start).concat(out.slice(0, start));
+            const K = out.length;
+            let weights = [];
+            if (K == 3) {
+                weights = [5/12, -1/12, -1/12];
+            }
+            else if (K == 4) {
+                weights = [3/8, 0, -1/8, 0];
+            }
+            else {
+                for (let j = 0; j < K; j++) {
+                    weights.push((0.25 + Math.cos(2*Math.PI*j/K) + 0.5*Math.cos(4*Math.PI*j/K))/K);
+                }
+            }
+            let p = vec3.create();
+            vec3.scale(p, v.pos, 0.75);
+            for (let j = 0; j < K; j++) {
+                vec3.scaleAndAdd(p, p, out[j].head.pos, weights[j]);
+            }
+            return p;
+        }
+
+        /**
+         * Find the vertex across the edge from the corner opposite h,
+         * or null if that edge is on the boundary
+         */
+        function wing(e) {
+            if (e.pair.face === null) {
+                return null;
+            }
+            return e.pair.next.head.pos;
+        }
+
+        // Step 1: Compute a new vertex for every edge
+        let edgeIdx = new Map();
+        for (const h of this.edges) {
+            if (edgeIdx.has(h)) {
+                continue;
+            }
+            const t = h.pair;
+            const a = t.head.pos;
+            const b = h.head.pos;
+            edgeIdx.set(h, positions.length);
+            edgeIdx.set(t, positions.length);
+            let p = vec3.create();
+            if (h.isBoundary()) {
+                // 4 point scheme along the boundary
+                const e = h.face === null ? h : t;
+                const before = e.prev.pair.head.pos;
+                const after = e.next.head.pos;
+                vec3.scale(p, e.pair.head.pos, 9/16);
+                vec3.scaleAndAdd(p, p, e.head.pos, 9/16);
+                vec3.scaleAndAdd(p, p, before, -1/16);
+                vec3.scaleAndAdd(p, p, after, -1/16);
+                positions.push(p);
+                continue;
+            }
+            const c = h.next.head.pos;
+            const d = t.next.head.pos;
+            const KA = t.head.getOutgoingEdges().length;
+            const KB = h.head.getOutgoingEdges().length;
+            const sa = vertexStencil(h);
+            const sb = vertexStencil(t);
+            const wings = [wing(h.next), wing(h.prev), wing(t.next), wing(t.prev)];
+            if (sa === null || sb === null || wings.includes(null)) {
+                // Stencil reaches the boundary
+                vec3.scale(p, a, 3/8);
+                vec3.scaleAndAdd(p, p, b, 3/8);
+                vec3.scaleAndAdd(p, p, c, 1/8);
+                vec3.scaleAndAdd(p, p, d, 1/8);
+            }
+            else if (KA == 6 && KB == 6) {
+                vec3.scale(p, a, 1/2);
+                vec3.scaleAndAdd(p, p, b, 1/2);
+                vec3.scaleAndAdd(p, p, c, 1/8);
+                vec3.scaleAndAdd(p, p, d, 1/8);
+                for (const w of wings) {
+                    vec3.scaleAndAdd(p, p, w, -1/16);
+                }
+            }
+            else if (KA != 6 && KB != 6) {
+                vec3.lerp(p, sa, sb, 0.5);
+            }
+            else if (KA != 6) {
+                vec3.copy(p, sa);
+            }
+            else {
+                vec3.copy(p, sb);
+            }
+            positions.push(p);
+        }
+
+        // Step 2: Split each triangle into 4
+        let faces = [];
+        for (const f of this.faces) {
+            const edges = f.getEdges();
+            const mids = edges.map(function(h) {
+                return edgeIdx.get(h);
+            });
+            for (let k = 0; k < 3; k++) {
+                // Corner at the head of edges[k]
+                faces.push([edges[k].head.ID, mids[(k+1)%3], mids[k]]);
+            }
+            faces.push(mids);
+        }
+        let mesh = new HedgeMesh();
+        mesh.initFromFaceLists(positions, undefined, faces);
+        return mesh;
+    }
+
+    /**
+     * Perform Catmull-Clark subdivision on a mesh with arbitrary
+     * polygon faces.  Every face of n sides is split into n quads.
+     * Boundary edges, and edges whose dihedral angle is above
+     * a threshold, are treated as creases: their edge points are
+     * midpoints, vertices on exactly two of them move along the
+     * crease, and vertices on more than two of them (or on only
+     * one face) stay in place
+     * 
+     * @param {float} creaseAngle Edges whose faces meet at more than this
+     *                            angle (in degrees) are sharp.  If unspecified,
+     *                            only boundary edges are sharp
+     * 
+     * @returns {HedgeMesh} The subdivided mesh
+     */
+    subdivideCatmullClark(creaseAngle) {
+        if (creaseAngle === undefined) {
+            creaseAngle = 180;
+        }
+        const cosCrease = Math.cos(creaseAngle*Math.PI/180);
+        const NV = this.vertices.length;
+        let positions = [];
+        for (let i = 0; i < NV; i++) {
+            positions.push(vec3.create());
+        }
+
+        // Step 1: Face points at the centroid of each face
+        let facePoints = [];
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            let p = vec3.create();
+            for (const v of vs) {
+                vec3.add(p, p, v.pos);
+            }
+            vec3.scale(p, p, 1/vs.length);
+            facePoints.push(p);
+        }
+
+        // Step 2: Edge points, which are midpoints on sharp edges and
+        // otherwise the average of the endpoints and adjacent face points
+        let edgeIdx = new Map(); // Map from half edge to undirected edge index
+        let sharp = [];
+        let midpoints = [];
+        let edgePoints = [];
+        for (const h of this.edges) {
+            if (edgeIdx.has(h)) {
+                continue;
+            }
+            edgeIdx.set(h, midpoints.length);
+            edgeIdx.set(h.pair, midpoints.length);
+            let mid = vec3.create();
+            vec3.lerp(mid, h.head.pos, h.pair.head.pos, 0.5);
+            midpoints.push(mid);
+            let isSharp = h.isBoundary();
+            if (!isSharp && vec3.dot(h.face.getNormal(), h.pair.face.getNormal()) < cosCrease) {
+                isSharp = true;
+            }
+            sharp.push(isSharp);
+            let p = vec3.clone(mid);
+            if (!isSharp) {
+                vec3.add(p, h.head.pos, h.pair.head.pos);
+                vec3.add(p, p, facePoints[h.face.ID]);
+                vec3.add(p, p, facePoints[h.pair.face.ID]);
+                vec3.scale(p, p, 0.25);
+            }
+            edgePoints.push(p);
+        }
+
+        // Step 3: Move the original vertices
+        for (let i = 0; i < NV; i++) {
+            const v = this.vertices[i];
+            const out = v.getOutgoingEdges();
+            const sharpEdges = out.filter(function(h) {
+                return sharp[edgeIdx.get(h)];
+            });
+            const p = positions[i];
+            if (out.length <= 2 || sharpEdges.length > 2) {
+                // Corner vertex, or a vertex on a single face
+                vec3.copy(p, v.pos);
+            }
+            else if (sharpEdges.length == 2) {
+                // Crease vertex
+                vec3.scale(p, v.pos, 6);
+                vec3.add(p, p, sharpEdges[0].head.pos);
+                vec3.add(p, p, sharpEdges[1].head.pos);
+                vec3.scale(p, p, 1/8);
+            }
+            else {
+                // Smooth vertex (F + 2R + (n-3)v)/n
+                const n = out.length;
+                let F = vec3.create();
+                let R = vec3.create();
+                for (const h of out) {
+                    vec3.add(F, F, facePoints[h.face.ID]);
+                    vec3.add(R, R, midpoints[edgeIdx.get(h)]);
+                }
+                vec3.scale(F, F, 1/(n*n));
+                vec3.scale(R, R, 2/(n*n));
+                vec3.scale(p, v.pos, (n-3)/n);
+                vec3.add(p, p, F);
+                vec3.add(p, p, R);
+            }
+        }
+
+        // Step 4: Split each face into quads around its corners
+        const edgeOffset = NV;
+        const faceOffset = NV + edgePoints.length;
+        positions = positions.concat(edgePoints).concat(facePoints);
+        let faces = [];
+        for (const f of this.faces) {
+            const edges = f.getEdges();
+            for (let k = 0; k < edges.length; k++) {
+                // Corner at the head of edges[k]
+                const next = edges[(k+1)%edges.length];
+                faces.push([edges[k].head.ID, 
+                            edgeOffset + edgeIdx.get(next), 
+                            faceOffset + f.ID, 
+                            edgeOffset + edgeIdx.get(edges[k])]);
+            }
+        }
+        let mesh = new HedgeMesh();
+        mesh.initFromFaceLists(positions, undefined, faces);
+        return mesh;
+    }
+
+    /**
+     * Make the dual of this mesh, which has a vertex for every face
+     * and a face for every vertex, going around the faces it touches.
+     * For a closed mesh, the dual of the dual has the same connectivity
+     * as the original mesh, with vertices and faces in the same order
+     *
+     * @param {string} placement Where to put the vertex of each face
+     *                           'centroid' (default): The average of its vertices
+     *                           'circumcenter': The circumcenter of triangles,
+     *                                           or the centroid of other faces
+     *                           'areaweighted': The center of mass of the face
+     * @param {string} boundary What to do with boundary vertices
+     *                          'skip' (default): They have no face in the dual
+     *                          'include': Their face also goes through the
+     *                                     midpoints of their boundary edges and
+     *                                     the vertex itself, so that the dual
+     *                                     keeps the boundary of the original
+     *
+     * @returns {HedgeMesh} The dual mesh
+     */
+    makeDual(placement, boundary) {
+        if (placement === undefined) {
+            placement = 'centroid';
+        }
+        if (boundary === undefined) {
+            boundary = 'skip';
+        }
+        // Step 1: Place a vertex on every face
+        let positions = [];
+        for (const f of this.faces) {
+            const vs = f.getVertices();
+            let p = vec3.create();
+            if (placement == 'circumcenter' && vs.length == 3) {
+                // c = a + (|u|^2 (v x n) + |v|^2 (n x u))/(2 |n|^2), with n = u x v
+                const a = vs[0].pos;
+                const u = getVectorBetweenPoints(vs[1].pos, a);
+                const v = getVectorBetweenPoints(vs[2].pos, a);
+                let n = vec3.create();
+                vec3.cross(n, u, v);
+                const denom = 2*vec3.sqrLen(n);
+                if (denom > 0) {
+                    let vn = vec3.create();
+                    let nu = vec3.create();
+                    vec3.cross(vn, v, n);
+                    vec3.cross(nu, n, u);
+                    vec3.scaleAndAdd(p, a, vn, vec3.sqrLen(u)/denom);
+                    vec3.scaleAndAdd(p, p, nu, vec3.sqrLen(v)/denom);
+                    positions.push(p);
+                    continue;
+                }
+            }
+            if (placement == 'areaweighted' && vs.length > 3) {
+                // Average the centroids of a fan of triangles by their areas
+                let total = 0;
+                let n = vec3.create();
+                for (let i = 1; i < vs.length-1; i++) {
+                    vec3.cross(n, getVectorBetweenPoints(vs[i].pos, vs[0].pos),
+                                  getVectorBetweenPoints(vs[i+1].pos, vs[0].pos));
+                    const area = vec3.length(n)/2;
+                    for (const w of [vs[0], vs[i], vs[i+1]]) {
+                        vec3.scaleAndAdd(p, p, w.pos, area/3);
+                    }
+                    total += area;
+                }
+                if (total > 0) {
+                    positions.push(vec3.scale(p, p, 1/total));
+                    continue;
+                }
+                p = vec3.create();
+            }
+            for (const w of vs) {
+                vec3.scaleAndAdd(p, p, w.pos, 1/vs.length);
+            }
+            positions.push(p);
+        }
+
+        // Step 2: Make a face for every vertex from the faces around it,
+        // in the order that its outgoing edges rotate
+        let edgeMidpoints = new Map();
+        function getMidpoint(h) {
+            // Index of a new vertex at the midpoint of a boundary edge
+            const key = Math.min(h.ID, h.pair.ID);
+            if (!edgeMidpoints.has(key)) {
+                let p = vec3.create();
+                vec3.lerp(p, h.head.pos, h.pair.head.pos, 0.5);
+                edgeMidpoints.set(key, positions.length);
+                positions.push(p);
+            }
+            return edgeMidpoints.get(key);
+        }
+        let faces = [];
+        for (const v of this.vertices) {
+            const out = v.getOutgoingEdges();
+            const start = out.findIndex(function(h) {
+                return h.face === null;
+            });
+            if (start == -1) {
+                const face = out.map(function(h) {
+                    return h.face.ID;
+                });
+                if (face.length > 2) {
+                    faces.push(face);
+                }
+            }
+            else if (boundary == 'include') {
+                // Start after the boundary edge, and end on it
+                const N = out.length;
+                let face = [getMidpoint(out[(start+1)%N])];
+                for (let i = 1; i < N; i++) {
+                    const h = out[(start+i)%N];
+                    if (h.face === null) {
+                        break;
+                    }
+                    face.push(h.face.ID);
+                }
+                face.push(getMidpoint(out[start]));
+                face.push(positions.length);
+                positions.push(vec3.clone(v.pos));
+                faces.push(face);
+            }
+        }
+        let dual = new HedgeMesh();
+        dual.initFromFaceLists(positions, undefined, faces);
+        return dual;
+    }
+
+    /**
+     * Compute the convex hull of the vertices of this mesh (see getConvexHull
+     * in convexhull.js).  Comparing its volume to the volume of this mesh
+     * gives a measure of how convex this mesh is
+     * 
+     * @returns {HedgeMesh} The convex hull
+     */
+    getConvexHull() {
+        return getConvexHull(this.vertices.map(function(v) {
+            return v.pos;
+        }));
+    }
 }
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * Parameterization of disk-topology HedgeMeshes in the plane, either
+ * with Tutte's barycentric embedding or with the least squares conformal
+ * maps (LSCM) of Levy, Petitjean, Ray, and Maillot (2002).  The resulting
+ * UV coordinates are stored in the texCoords of the vertices
+ */
+
+/**
+ * Find the boundary cycle of a mesh with the greatest total length, and
+ * check that the connected component it's on is a topological disk, since
+ * the parameterizations only pin that one cycle, and any other holes or
+ * handles would be folded over the rest of the map
+ *
+ * @param {HedgeMesh} mesh The mesh
+ *
+ * @returns {list} The vertices on the cycle, in the order that the faces
+ *                 next to the boundary go around it
+ */
+function getLongestBoundary(mesh) {
+    let best = null;
+    let bestLength = -1;
+    for (const cycle of mesh.getBoundaryCycles()) {
+        let length = 0;
+        for (const h of cycle) {
+            length += vec3.distance(h.head.pos, h.pair.head.pos);
+        }
+        if (length > bestLength) {
+            bestLength = length;
+            best = cycle;
+        }
+    }
+    if (best === null) {
+        throw "Error (getLongestBoundary): Mesh has no boundary, so it is not a disk";
+    }
+    const components = mesh.getConnectedComponents();
+    const component = components.components[components.vertexLabels[best[0].head.ID]];
+    if (component.boundaries != 1 || component.genus != 0) {
+        throw "Error (getLongestBoundary): Mesh is not a disk, which has 1 boundary cycle and genus 0.  " +
+              "This mesh has " + component.boundaries + " boundary cycle(s) and genus " + component.genus;
+    }
+    // The boundary half edges go the opposite way around from the faces
+    return best.map(function(h) {
+        return h.head;
+    }).reverse();
+}
+
+/**
+ * Compute Tutte's barycentric embedding, which pins the longest boundary
+ * cycle to a convex shape, spacing its vertices out by arc length, and
+ * puts every other vertex at the average of its neighbors.  This is
+ * guaranteed to have no flipped faces for a disk
+ *
+ * @param {HedgeMesh} mesh The mesh, which must be a topological disk
+ * @param {string} shape 'circle' (default): Pin the boundary to the unit circle
+ *                       'square': Pin the boundary to the unit square, with
+ *                                 its sharpest corners on the corners
+ *
+ * @returns {list} A list of [u, v] coordinates for each vertex
+ */
+function getTutteParameterization(mesh, shape) {
+    if (shape === undefined) {
+        shape = 'circle';
+    }
+    const N = mesh.vertices.length;
+    let boundary = getLongestBoundary(mesh);
+    // How sharply the boundary turns at each vertex.  The corners of a
+    // square go on the sharpest ones, since a corner of the mesh in the
+    // middle of a side of the square would flatten the triangles there
+    let turning = null;
+    if (shape == 'square') {
+        turning = boundary.map(function(v) {
+            return v.getAngleDefect();
+        });
+        let start = 0;
+        for (let i = 1; i < boundary.length; i++) {
+            if (turning[i] > turning[start]) {
+                start = i;
+            }
+        }
+        boundary = boundary.slice(start).concat(boundary.slice(0, start));
+        turning = turning.slice(start).concat(turning.slice(0, start));
+    }
+
+    // Step 1: Pin the boundary, going counter-clockwise
+    let pinned = new Map();
+    let total = 0;
+    let lengths = [0];
+    for (let i = 0; i < boundary.length; i++) {
+        total += vec3.distance(boundary[i].pos, boundary[(i+1)%boundary.length].pos);
+        lengths.push(total);
+    }
+    if (shape == 'square') {
+        // Put a boundary vertex on each corner of [0, 1] x [0, 1], starting
+        // with the sharpest one, and then taking the sharpest within an eighth
+        // of the way around from each other quarter, or the closest to the
+        // quarter among equally sharp ones.  Then space out the vertices in
+        // between along the sides
+        const n = boundary.length;
+        if (n < 4) {
+            throw "Error (getTutteParameterization): Boundary needs at least 4 vertices to pin to a square";
+        }
+        let cornerIdx = [0];
+        // Whether boundary vertex i is a better choice than j for corner k
+        function isBetter(i, j, k) {
+            const di = Math.abs(lengths[i]/total - k/4);
+            const dj = Math.abs(lengths[j]/total - k/4);
+            if ((di <= 1/8) != (dj <= 1/8)) {
+                return di <= 1/8;
+            }
+            if (di <= 1/8 && Math.abs(turning[i] - turning[j]) > 1e-6) {
+                return turning[i] > turning[j];
+            }
+            return di < dj;
+        }
+        for (let k = 1; k < 4; k++) {
+            // Leave room for the corners after this one
+            let best = cornerIdx[k-1]+1;
+            for (let i = best+1; i <= n-4+k; i++) {
+                if (isBetter(i, best, k)) {
+                    best = i;
+                }
+            }
+            cornerIdx.push(best);
+        }
+        cornerIdx.push(n);
+        const corners = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+        for (let side = 0; side < 4; side++) {
+            const a = corners[side];
+            const b = corners[side+1];
+            const start = lengths[cornerIdx[side]];
+            const end = lengths[cornerIdx[side+1]];
+            for (let i = cornerIdx[side]; i < cornerIdx[side+1]; i++) {
+                const s = end > start ? (lengths[i]-start)/(end-start) : 0;
+                pinned.set(boundary[i].ID, [a[0] + s*(b[0]-a[0]), a[1] + s*(b[1]-a[1])]);
+            }
+        }
+    }
+    else {
+        for (let i = 0; i < boundary.length; i++) {
+            const t = lengths[i]/total;
+            pinned.set(boundary[i].ID, [Math.cos(2*Math.PI*t), Math.sin(2*Math.PI*t)]);
+        }
+    }
+    // Vertices that aren't connected to the boundary stay at the origin
+    const labels = mesh.getConnectedComponents().vertexLabels;
+    for (const v of mesh.vertices) {
+        if (labels[v.ID] != labels[boundary[0].ID]) {
+            pinned.set(v.ID, [0, 0]);
+        }
+    }
+
+    // Step 2: Solve the graph Laplacian system for the free vertices,
+    // once for each coordinate, moving the pinned values to the right
+    let A = new COOMatrix(N, N);
+    let bu = new Float64Array(N);
+    let bv = new Float64Array(N);
+    for (const v of mesh.vertices) {
+        if (pinned.has(v.ID)) {
+            A.add(v.ID, v.ID, 1);
+            bu[v.ID] = pinned.get(v.ID)[0];
+            bv[v.ID] = pinned.get(v.ID)[1];
+            continue;
+        }
+        for (const w of v.getVertexNeighbors()) {
+            A.add(v.ID, v.ID, 1);
+            if (pinned.has(w.ID)) {
+                bu[v.ID] += pinned.get(w.ID)[0];
+                bv[v.ID] += pinned.get(w.ID)[1];
+            }
+            else {
+                A.add(v.ID, w.ID, -1);
+            }
+        }
+    }
+    const solver = new SparseCholesky(A.toCSR());
+    const u = solver.solve(bu);
+    const v = solver.solve(bv);
+    let uvs = [];
+    for (let i = 0; i < N; i++) {
+        uvs.push([u[i], v[i]]);
+    }
+    return uvs;
+}
+
+/**
+ * Compute a least squares conformal map, which minimizes the difference
+ * between the Dirichlet energy and the area of the map, and so is as close
+ * to preserving angles as possible.  Unlike Tutte's embedding, the boundary
+ * is free, so there is much less distortion, but faces may flip
+ *
+ * @param {HedgeMesh} mesh A triangle mesh, which must be a topological disk
+ * @param {int} pin1 Index of the vertex pinned to (0, 0).  By default,
+ *                   this and pin2 are two far apart vertices on the
+ *                   longest boundary
+ * @param {int} pin2 Index of the vertex pinned to (d, 0), where d is
+ *                   the distance between the two pinned vertices
+ *
+ * @returns {list} A list of [u, v] coordinates for each vertex
+ */
+function getLSCMParameterization(mesh, pin1, pin2) {
+    for (const f of mesh.faces) {
+        if (f.getEdges().length != 3) {
+            throw "Error (getLSCMParameterization): Mesh must be a triangle mesh";
+        }
+    }
+    const N = mesh.vertices.length;
+    const boundary = getLongestBoundary(mesh);
+    function farthest(from) {
+        let best = boundary[0];
+        for (const v of boundary) {
+            if (vec3.sqrDist(v.pos, from.pos) > vec3.sqrDist(best.pos, from.pos)) {
+                best = v;
+            }
+        }
+        return best;
+    }
+    if (pin1 === undefined || pin2 === undefined || pin1 == pin2) {
+        pin2 = farthest(boundary[0]);
+        pin1 = farthest(pin2).ID;
+        pin2 = pin2.ID;
+    }
+
+    // Step 1: Build the quadratic form of the conformal energy on x = [u, v],
+    // which is 1/2 x^T (L + L - M) x, with the cotangent Laplacian L on
+    // both coordinates, and the signed area 1/2 x^T M x of the map, which
+    // adds up (u_i v_j - u_j v_i)/2 over the boundary edges i -> j
+    const L = getLaplacianMatrix(mesh, 'cotangent');
+    let Q = new COOMatrix(2*N, 2*N);
+    for (let i = 0; i < N; i++) {
+        for (let k = L.rowPtr[i]; k < L.rowPtr[i+1]; k++) {
+            Q.add(i, L.colIdx[k], L.vals[k]);
+            Q.add(i+N, L.colIdx[k]+N, L.vals[k]);
+        }
+    }
+    for (const h of mesh.edges) {
+        if (h.face === null) {
+            // The face on the other side goes from i to j
+            const i = h.head.ID;
+            const j = h.pair.head.ID;
+            Q.add(i, j+N, -0.5);
+            Q.add(j+N, i, -0.5);
+            Q.add(j, i+N, 0.5);
+            Q.add(i+N, j, 0.5);
+        }
+    }
+    Q = Q.toCSR();
+
+    // Step 2: Pin two vertices, and solve for the rest
+    const d = vec3.distance(mesh.vertices[pin1].pos, mesh.vertices[pin2].pos);
+    let pinned = new Map([[pin1, 0], [pin1+N, 0], [pin2, d], [pin2+N, 0]]);
+    // Vertices on other connected components stay at the origin
+    const labels = mesh.getConnectedComponents().vertexLabels;
+    if (labels[pin1] != labels[pin2]) {
+        throw "Error (getLSCMParameterization): Pinned vertices must be on the same connected component";
+    }
+    for (const v of mesh.vertices) {
+        if (labels[v.ID] != labels[pin1]) {
+            pinned.set(v.ID, 0);
+            pinned.set(v.ID+N, 0);
+        }
+    }
+    let A = new COOMatrix(2*N, 2*N);
+    let b = new Float64Array(2*N);
+    for (let i = 0; i < 2*N; i++) {
+        if (pinned.has(i)) {
+            A.add(i, i, 1);
+            b[i] = pinned.get(i);
+            continue;
+        }
+        for (let k = Q.rowPtr[i]; k < Q.rowPtr[i+1]; k++) {
+            const j = Q.colIdx[k];
+            const val = Q.vals[k];
+            if (pinned.has(j)) {
+                b[i] -= val*pinned.get(j);
+            }
+            else {
+                A.add(i, j, val);
+            }
+        }
+    }
+    const x = new SparseCholesky(A.toCSR()).solve(b);
+    let uvs = [];
+    for (let i = 0; i < N; i++) {
+        uvs.push([x[i], x[i+N]]);
+    }
+    return uvs;
+}
+
+/**
+ * Store UV coordinates in the texCoords of the vertices of a mesh,
+ * after scaling and translating them to fit in [0, 1] x [0, 1]
+ *
+ * @param {HedgeMesh} mesh The mesh
+ * @param {list} uvs A list of [u, v] coordinates for each vertex
+ */
+function setTexCoords(mesh, uvs) {
+    let min = [Infinity, Infinity];
+    let max = [-Infinity, -Infinity];
+    for (const uv of uvs) {
+        for (let k = 0; k < 2; k++) {
+            min[k] = Math.min(min[k], uv[k]);
+            max[k] = Math.max(max[k], uv[k]);
+        }
+    }
+    const scale = Math.max(max[0]-min[0], max[1]-min[1]);
+    for (let i = 0; i < mesh.vertices.length; i++) {
+        mesh.vertices[i].texCoords = [(uvs[i][0]-min[0])/scale, (uvs[i][1]-min[1])/scale];
+    }
+    mesh.needsDisplayUpdate = true;
+}
+
+/**
+ * Measure how much the texture coordinates of a mesh distort its angles
+ * and areas.  Areas are compared as fractions of the total area, so that
+ * the overall scale of the parameterization doesn't matter.  Faces that
+ * are degenerate on the mesh or in the plane are left out of the averages
+ *
+ * @param {HedgeMesh} mesh The mesh
+ *
+ * @returns {object} {'angleMean': Mean difference between the angles at the
+ *                                 corners of faces and in the plane, in degrees,
+ *                    'angleMax': Maximum angle difference, in degrees,
+ *                    'areaMean': Mean over faces, weighted by their area, of
+ *                                max(r, 1/r), where r is the ratio between
+ *                                their fractions of the area in the plane and
+ *                                on the mesh.  This is 1 if areas are preserved,
+ *                    'areaMax': Maximum of max(r, 1/r) over faces,
+ *                    'flipped': Number of faces that are flipped in the plane,
+ *                    'degenerate': Number of faces with no area in the plane
+ *                                  or on the mesh,
+ *                    'faceAngle': Mean angle difference on each face,
+ *                    'faceArea': max(r, 1/r) on each face, or Infinity
+ *                                if it is degenerate}
+ */
+function getParameterizationDistortion(mesh) {
+    function angle(a, b) {
+        // Angle between two 2D or 3D vectors, or null if one is zero
+        let dot = 0;
+        let aa = 0;
+        let bb = 0;
+        for (let k = 0; k < a.length; k++) {
+            dot += a[k]*b[k];
+            aa += a[k]*a[k];
+            bb += b[k]*b[k];
+        }
+        if (aa*bb == 0) {
+            return null;
+        }
+        return Math.acos(Math.max(-1, Math.min(1, dot/Math.sqrt(aa*bb))));
+    }
+    let res = {'angleMean':0, 'angleMax':0, 'areaMean':0, 'areaMax':1, 
+               'flipped':0, 'degenerate':0, 'faceAngle':[], 'faceArea':[]};
+    let areas = [];
+    let uvAreas = [];
+    let totalArea = 0;
+    let totalUVArea = 0;
+    let NCorners = 0;
+    for (const f of mesh.faces) {
+        const vs = f.getVertices();
+        const n = vs.length;
+        let faceAngle = 0;
+        let faceCorners = 0;
+        let uvArea = 0;
+        for (let k = 0; k < n; k++) {
+            const a = vs[(k+n-1)%n];
+            const b = vs[k];
+            const c = vs[(k+1)%n];
+            uvArea += 0.5*(b.texCoords[0]*c.texCoords[1] - c.texCoords[0]*b.texCoords[1]);
+            const theta = angle(getVectorBetweenPoints(a.pos, b.pos), getVectorBetweenPoints(c.pos, b.pos));
+            const uvTheta = angle([a.texCoords[0]-b.texCoords[0], a.texCoords[1]-b.texCoords[1]],
+                                  [c.texCoords[0]-b.texCoords[0], c.texCoords[1]-b.texCoords[1]]);
+            if (theta === null || uvTheta === null) {
+                continue;
+            }
+            const diff = Math.abs(theta - uvTheta)*180/Math.PI;
+            faceAngle += diff;
+            faceCorners++;
+            res.angleMax = Math.max(res.angleMax, diff);
+        }
+        res.angleMean += faceAngle;
+        NCorners += faceCorners;
+        res.faceAngle.push(faceAngle/Math.max(faceCorners, 1));
+        if (uvArea < 0) {
+            res.flipped++;
+        }
+        areas.push(f.getArea());
+        uvAreas.push(Math.abs(uvArea));
+        totalArea += areas[areas.length-1];
+        totalUVArea += uvAreas[uvAreas.length-1];
+    }
+    res.angleMean /= Math.max(NCorners, 1);
+    let weight = 0;
+    for (let i = 0; i < mesh.faces.length; i++) {
+        if (areas[i] == 0 || uvAreas[i] == 0) {
+            res.degenerate++;
+            res.faceArea.push(Infinity);
+            continue;
+        }
+        let r = (uvAreas[i]/totalUVArea)/(areas[i]/totalArea);
+        r = Math.max(r, 1/r);
+        res.faceArea.push(r);
+        res.areaMean += r*areas[i];
+        weight += areas[i];
+        res.areaMax = Math.max(res.areaMax, r);
+    }
+    res.areaMean /= Math.max(weight, 1e-300);
+    return res;
+}
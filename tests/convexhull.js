@@ -0,0 +1,95 @@
+const assert = require('assert');
+require('./loadmesh.js');
+const vec3 = glMatrix.vec3;
+
+/**
+ * Make points on a stack of circles, which have many coplanar subsets
+ * 
+ * @param {int} NCircles Number of circles
+ * @param {int} NPoints Number of points on each circle
+ * @param {float} jitter Amount to move each coordinate by at random
+ * 
+ * @returns {list} A list of glMatrix.vec3 points
+ */
+function getCylinderPoints(NCircles, NPoints, jitter) {
+    let points = [];
+    for (let z = 0; z < NCircles; z++) {
+        for (let k = 0; k < NPoints; k++) {
+            const t = 2*Math.PI*k/NPoints;
+            let p = vec3.fromValues(Math.cos(t), Math.sin(t), z/2);
+            for (let i = 0; i < 3; i++) {
+                p[i] += jitter*(Math.random()-0.5);
+            }
+            points.push(p);
+        }
+    }
+    return points;
+}
+
+/**
+ * Check that a hull of points in general position is a closed,
+ * convex, outward facing surface with no degenerate faces that
+ * contains all of the points
+ * 
+ * @param {string} name Name of the test case
+ * @param {list} points A list of glMatrix.vec3 points
+ */
+function checkHull(name, points) {
+    const hull = getConvexHull(points);
+    let scale = 0;
+    for (const p of points) {
+        scale = Math.max(scale, vec3.length(p));
+    }
+    const tol = 1e-5*scale;
+    assert.strictEqual(hull.validate().length, 0, name + ": invalid half edge mesh");
+    assert.strictEqual(hull.getGenus(), 0, name + ": not a closed surface");
+    assert.ok(hull.getVolume() > 0, name + ": faces point inward");
+    for (const f of hull.faces) {
+        const vs = f.getVertices();
+        assert.strictEqual(vs.length, 3);
+        let n = vec3.create();
+        vec3.cross(n, vec3.subtract(vec3.create(), vs[1].pos, vs[0].pos), 
+                      vec3.subtract(vec3.create(), vs[2].pos, vs[0].pos));
+        assert.ok(vec3.length(n) > tol*tol, name + ": face with no area");
+        vec3.normalize(n, n);
+        const d = vec3.dot(n, vs[0].pos);
+        for (const p of points) {
+            assert.ok(vec3.dot(n, p) - d < tol, name + ": point outside of the hull");
+        }
+    }
+}
+
+checkHull("cylinder", getCylinderPoints(5, 64, 0));
+checkHull("jittered cylinder", getCylinderPoints(5, 64, 1e-9));
+checkHull("random", getRandomPoints(500, 'ball'));
+checkHull("sphere", getRandomPoints(300, 'sphere'));
+let grid = [];
+for (let i = 0; i < 6; i++) {
+    for (let j = 0; j < 6; j++) {
+        for (let k = 0; k < 6; k++) {
+            grid.push(vec3.fromValues(i, j, k));
+        }
+    }
+}
+checkHull("grid", grid);
+let duplicates = [];
+for (const p of getRandomPoints(50, 'cube')) {
+    duplicates.push(p, vec3.clone(p), vec3.clone(p));
+}
+checkHull("duplicates", duplicates);
+
+// Planar points make a single polygon, and collinear points a segment
+let planar = getRandomPoints(100, 'cube').map(function(p) {
+    return vec3.fromValues(p[0], p[1], 0);
+});
+let hull = getConvexHull(planar);
+assert.strictEqual(hull.faces.length, 1);
+assert.strictEqual(hull.validate().length, 0);
+let collinear = [];
+for (let i = 0; i < 20; i++) {
+    collinear.push(vec3.fromValues(i%7, 2*(i%7), 3*(i%7)));
+}
+hull = getConvexHull(collinear);
+assert.strictEqual(hull.faces.length, 0);
+assert.strictEqual(hull.vertices.length, 2);
+console.log("convexhull: ok");
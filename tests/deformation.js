@@ -0,0 +1,59 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+// Leaving the handles where they are should leave the whole mesh where it
+// is, with no rigidity energy, even where cotangent weights are negative
+for (const name of ['cow.off', 'homer.off', 'bunny.off']) {
+    for (const weighting of ['cotangent', 'uniform']) {
+        let mesh = loadMesh(name);
+        const rest = mesh.vertices.map(function(v) {
+            return glMatrix.vec3.clone(v.pos);
+        });
+        const handles = [0];
+        const anchors = [Math.floor(mesh.vertices.length/2)];
+        let editor = new ARAPEditor(mesh, handles, anchors, [], weighting);
+        const energy = editor.deform([rest[0]]);
+        let maxMove = 0;
+        for (let i = 0; i < rest.length; i++) {
+            maxMove = Math.max(maxMove, glMatrix.vec3.distance(rest[i], mesh.vertices[i].pos));
+        }
+        assert.ok(maxMove < 1e-6, name + " " + weighting + " moved by " + maxMove);
+        assert.ok(Math.abs(energy) < 1e-8, name + " " + weighting + " energy " + energy);
+        for (const R of editor.rotations) {
+            if (R !== null) {
+                for (let k = 0; k < 9; k++) {
+                    assert.ok(Math.abs(R[k] - (k%4 == 0 ? 1 : 0)) < 1e-6, name + " rotation is not the identity");
+                }
+            }
+        }
+    }
+}
+// A piece of the region of interest that isn't connected to a handle or
+// an anchor can't be solved for, even if the factorization goes through
+let ico = loadMesh('icosahedron.off');
+let positions = [];
+let faces = [];
+for (const offset of [0, 3]) {
+    for (const v of ico.vertices) {
+        positions.push(glMatrix.vec3.fromValues(v.pos[0] + offset, v.pos[1], v.pos[2]));
+    }
+    for (const f of ico.faces) {
+        faces.push(f.getVertices().map(function(v) {
+            return v.ID + (offset > 0 ? ico.vertices.length : 0);
+        }));
+    }
+}
+let two = new HedgeMesh();
+two.initFromFaceLists(positions, undefined, faces);
+for (const Editor of [LaplacianEditor, ARAPEditor]) {
+    assert.throws(function() {
+        new Editor(two, [0], [5], []);
+    }, /connected to a handle or an anchor/);
+    // Leaving the other piece out of the region of interest holds it in place
+    let roi = [];
+    for (let i = 0; i < ico.vertices.length; i++) {
+        roi.push(i);
+    }
+    new Editor(two, [0], [5], roi);
+}
+console.log("deformation: ok");
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+/**
+ * Rotate a cycle of indices so that it starts at its smallest index
+ * 
+ * @param {list} cycle A list of indices
+ * 
+ * @returns {list} The rotated list
+ */
+function canonicalCycle(cycle) {
+    const start = cycle.indexOf(Math.min(...cycle));
+    return cycle.slice(start).concat(cycle.slice(0, start));
+}
+
+// The dual of the dual of a closed mesh should have the same connectivity
+// as the original mesh, with vertices and faces in the same order
+let mesh = loadMesh('box2402.off');
+assert.strictEqual(mesh.vertices.length, 2402);
+assert.strictEqual(mesh.faces.length, 2400);
+assert.strictEqual(mesh.getGenus(), 0);
+const dual = mesh.makeDual();
+assert.strictEqual(dual.vertices.length, mesh.faces.length);
+assert.strictEqual(dual.faces.length, mesh.vertices.length);
+const dual2 = dual.makeDual();
+assert.strictEqual(dual2.vertices.length, mesh.vertices.length);
+assert.strictEqual(dual2.faces.length, mesh.faces.length);
+assert.strictEqual(dual2.edges.length, mesh.edges.length);
+
+function getIDs(xs) {
+    return xs.map(function(x) {
+        return x.ID;
+    });
+}
+for (let i = 0; i < mesh.faces.length; i++) {
+    assert.deepStrictEqual(canonicalCycle(getIDs(dual2.faces[i].getVertices())),
+                           canonicalCycle(getIDs(mesh.faces[i].getVertices())), "face " + i);
+}
+for (let i = 0; i < mesh.vertices.length; i++) {
+    const v1 = mesh.vertices[i];
+    const v2 = dual2.vertices[i];
+    assert.deepStrictEqual(canonicalCycle(getIDs(v2.getVertexNeighbors())),
+                           canonicalCycle(getIDs(v1.getVertexNeighbors())), "vertex " + i);
+    assert.deepStrictEqual(canonicalCycle(getIDs(v2.getAttachedFaces())),
+                           canonicalCycle(getIDs(v1.getAttachedFaces())), "vertex " + i);
+}
+console.log("dual: ok");
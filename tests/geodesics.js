@@ -0,0 +1,26 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+// A straightened path should never be longer than the edge path it
+// starts from, and it shouldn't wrap around its own ends
+let mesh = loadMesh('hand-simple.off');
+let path = getStraightenedPath(mesh, 21, 52);
+let edgePath = getShortestEdgePath(mesh, 21, 52);
+assert.ok(path.length <= edgePath.length, "path is " + path.length + " but the edge path is " + edgePath.length);
+assert.deepStrictEqual(path.vertices, [21, 52]);
+
+for (let source = 0; source < mesh.vertices.length; source += 7) {
+    for (let target = 3; target < mesh.vertices.length; target += 13) {
+        if (source == target) {
+            continue;
+        }
+        path = getStraightenedPath(mesh, source, target);
+        edgePath = getShortestEdgePath(mesh, source, target);
+        assert.ok(path.length <= edgePath.length + 1e-9, source + " to " + target);
+        assert.strictEqual(path.vertices[0], source);
+        assert.strictEqual(path.vertices[path.vertices.length-1], target);
+        assert.strictEqual(path.vertices.indexOf(source), 0, source + " to " + target);
+        assert.strictEqual(path.vertices.indexOf(target), path.vertices.length-1, source + " to " + target);
+    }
+}
+console.log("geodesics: ok");
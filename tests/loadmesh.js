@@ -0,0 +1,34 @@
+/**
+ * Load the browser scripts that the mesh code depends on into node
+ * so that it can be tested without a browser.  Run a test with
+ * node tests/<test>.js from the root of the repository
+ */
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+global.window = global;
+const SCRIPTS = ['ggslac/jslibs/gl-matrix-min.js', 'ggslac/geometry/primitives3d.js',
+                 'ggslac/geometry/polymesh.js', 'ggslac/geometry/basicmesh.js',
+                 'ggslac/utils/sparse.js', 'halfedgemesh.js', 'geodesics.js',
+                 'convexhull.js', 'parameterization.js', 'deformation.js'];
+for (const f of SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, f), 'utf8'), {'filename':f});
+}
+
+/**
+ * Load one of the meshes in ggslac/meshes
+ * 
+ * @param {string} name Filename of the mesh, such as "box2402.off"
+ * 
+ * @returns {HedgeMesh} The loaded mesh
+ */
+function loadMesh(name) {
+    const lines = fs.readFileSync(path.join(ROOT, 'ggslac/meshes', name), 'utf8').split('\n');
+    let mesh = new HedgeMesh();
+    mesh.loadFileFromLines(lines);
+    return mesh;
+}
+
+module.exports = {'loadMesh':loadMesh};
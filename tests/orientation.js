@@ -0,0 +1,40 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+// Every vertex should keep an outgoing edge with a face after the
+// orientation is reversed, including vertices on the boundary
+for (const name of ['icosahedroncut.off', 'box2402.off']) {
+    let mesh = loadMesh(name);
+    const before = mesh.vertices.map(function(v) {
+        return v.getNormal();
+    });
+    mesh.reverseOrientation();
+    for (let i = 0; i < mesh.vertices.length; i++) {
+        const v = mesh.vertices[i];
+        assert.notStrictEqual(v.h.face, null, name + ": vertex " + i + " has a boundary edge");
+        assert.strictEqual(v.h.pair.head, v, name + ": vertex " + i + " edge is not outgoing");
+        v.getAttachedFaces();
+        const n = v.getNormal();
+        assert.ok(glMatrix.vec3.dot(n, before[i]) < 0, name + ": vertex " + i + " normal did not flip");
+    }
+    mesh.orientOutward();
+    for (const v of mesh.vertices) {
+        assert.notStrictEqual(v.h.face, null);
+        v.getNormal();
+    }
+}
+// The seams of a non-orientable mesh are the ones found when it was
+// loaded, so they do not depend on the vertex positions
+let mobius = loadMesh('mobius.off');
+assert.strictEqual(mobius.isOrientable(), false);
+assert.strictEqual(mobius.getOrientationSeams().length, 1);
+mobius.laplacianSmoothSharpen(true, 'uniform', 0.5);
+assert.strictEqual(mobius.isOrientable(), false);
+for (const seam of mobius.getOrientationSeams()) {
+    assert.strictEqual(seam[0].face, null);
+    assert.strictEqual(seam[1].face, null);
+}
+for (const name of ['icosahedroncut.off', 'box2402.off', 'bunny.off']) {
+    assert.strictEqual(loadMesh(name).isOrientable(), true, name);
+}
+console.log("orientation: ok");
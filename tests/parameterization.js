@@ -0,0 +1,80 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+/**
+ * Make a triangulated n x n grid of vertices in the plane
+ *
+ * @param {int} n The number of vertices on each side
+ *
+ * @returns {HedgeMesh} The grid
+ */
+function getGrid(n) {
+    let points = [];
+    let faces = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            points.push(glMatrix.vec3.fromValues(i, j, 0.1*Math.sin(i)*Math.cos(j)));
+        }
+    }
+    for (let i = 0; i < n-1; i++) {
+        for (let j = 0; j < n-1; j++) {
+            const a = i*n + j;
+            const b = a + n;
+            faces.push([a, b, a+1]);
+            faces.push([a+1, b, b+1]);
+        }
+    }
+    let mesh = new HedgeMesh();
+    mesh.initFromFaceLists(points, undefined, faces);
+    return mesh;
+}
+
+/**
+ * @param {HedgeMesh} mesh A triangle mesh
+ * @param {list} uvs A list of [u, v] coordinates for each vertex
+ *
+ * @returns {int} The number of faces with zero or negative area in the plane
+ */
+function countFlipped(mesh, uvs) {
+    let count = 0;
+    for (const f of mesh.faces) {
+        const [a, b, c] = f.getVertices().map(function(v) {
+            return uvs[v.ID];
+        });
+        const area = (b[0]-a[0])*(c[1]-a[1]) - (c[0]-a[0])*(b[1]-a[1]);
+        if (area <= 1e-12) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Every face should keep its area and orientation, including the ones at
+// the corners of a grid pinned to a square
+for (const n of [7, 12, 13]) {
+    const mesh = getGrid(n);
+    for (const shape of ['circle', 'square']) {
+        assert.strictEqual(countFlipped(mesh, getTutteParameterization(mesh, shape)), 0, n + "x" + n + " " + shape);
+    }
+    assert.strictEqual(countFlipped(mesh, getLSCMParameterization(mesh)), 0, n + "x" + n + " LSCM");
+    const uvs = getTutteParameterization(mesh, 'square');
+    for (const corner of [0, n-1, n*(n-1), n*n-1]) {
+        for (const k of [0, 1]) {
+            assert.ok(Math.abs(uvs[corner][k]) < 1e-12 || Math.abs(uvs[corner][k]-1) < 1e-12, "corner " + corner);
+        }
+    }
+}
+
+// Meshes with more than one boundary or with handles aren't disks
+const mesh = loadMesh('dinopet.off');
+assert.throws(function() {
+    getTutteParameterization(mesh);
+}, /not a disk/);
+assert.throws(function() {
+    getLSCMParameterization(mesh);
+}, /not a disk/);
+assert.throws(function() {
+    getTutteParameterization(loadMesh('cow.off'));
+}, /not a disk/);
+
+console.log("parameterization: ok");
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+// The triangles next to the boundary should improve along with the rest,
+// without changing the topology
+let mesh = loadMesh('dinopet.off');
+const before = mesh.getTriangleQuality();
+const NCycles = mesh.getBoundaryCycles().length;
+const res = mesh.remeshIsotropic(before.meanEdgeLength, 5);
+assert.deepStrictEqual(mesh.validate(), []);
+assert.strictEqual(mesh.getBoundaryCycles().length, NCycles);
+assert.ok(res.after.minAngle > before.minAngle, "min angle went from " + before.minAngle + " to " + res.after.minAngle);
+assert.ok(res.after.meanQuality > before.meanQuality);
+
+// On a wavy sheet, boundary vertices should slide along the sides of
+// the square without leaving them, and the corners should stay put
+const n = 20;
+let points = [];
+let faces = [];
+for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+        // Bunch the vertices up towards one corner
+        const x = Math.pow(i/(n-1), 2);
+        const y = Math.pow(j/(n-1), 2);
+        points.push(glMatrix.vec3.fromValues(x, y, 0.1*Math.sin(Math.PI*x)*Math.sin(Math.PI*y)));
+    }
+}
+for (let i = 0; i < n-1; i++) {
+    for (let j = 0; j < n-1; j++) {
+        const a = i*n + j;
+        const b = a + n;
+        faces.push([a, b, a+1]);
+        faces.push([a+1, b, b+1]);
+    }
+}
+mesh = new HedgeMesh();
+mesh.initFromFaceLists(points, undefined, faces);
+const sheetBefore = mesh.getTriangleQuality();
+const sheetRes = mesh.remeshIsotropic(0.05, 5);
+assert.deepStrictEqual(mesh.validate(), []);
+assert.ok(sheetRes.after.minAngle > sheetBefore.minAngle);
+for (const v of mesh.vertices) {
+    if (v.isBoundary()) {
+        const [x, y, z] = v.pos;
+        const onSide = Math.min(Math.abs(x), Math.abs(x-1), Math.abs(y), Math.abs(y-1)) < 1e-12;
+        assert.ok(onSide && Math.abs(z) < 1e-12, "boundary vertex " + v.ID + " left the sides of the square");
+    }
+}
+for (const corner of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+    assert.ok(mesh.vertices.some(function(v) {
+        return v.pos[0] == corner[0] && v.pos[1] == corner[1];
+    }), "lost the corner at " + corner);
+}
+
+console.log("remesh: ok");
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const {loadMesh} = require('./loadmesh.js');
+
+/**
+ * @param {list} x A list of floats
+ * @param {list} y A list of floats of the same length
+ *
+ * @returns {float} The largest absolute difference between x and y
+ */
+function maxDiff(x, y) {
+    let diff = 0;
+    for (let i = 0; i < x.length; i++) {
+        diff = Math.max(diff, Math.abs(x[i] - y[i]));
+    }
+    return diff;
+}
+
+/**
+ * @param {list} x A list of floats
+ *
+ * @returns {float} The largest absolute value in x
+ */
+function maxAbs(x) {
+    return maxDiff(x, new Float64Array(x.length));
+}
+
+for (const name of ['cow.off', 'homer.off']) {
+    const mesh = loadMesh(name);
+    const N = mesh.vertices.length;
+    for (const weighting of ['uniform', 'cotangent']) {
+        // The Laplacian should be symmetric, and constants should be
+        // in its null space
+        const L = getLaplacianMatrix(mesh, weighting);
+        assert.ok(L.isSymmetric(1e-12), name + " " + weighting + " Laplacian is not symmetric");
+        let ones = new Float64Array(N).fill(1);
+        let rowSums = new Float64Array(N);
+        L.multiply(ones, rowSums);
+        let scale = maxAbs(L.getDiagonal());
+        assert.ok(maxAbs(rowSums) < 1e-10*scale, name + " " + weighting + " Laplacian rows do not sum to zero");
+
+        // Shift it to be positive definite, and check that the direct
+        // solvers agree with each other and with conjugate gradient
+        let diag = [];
+        for (let i = 0; i < N; i++) {
+            diag.push(1e-2*scale);
+        }
+        const A = L.combine(CSRMatrix.diagonal(diag), 1, 1);
+        let b = new Float64Array(N);
+        for (let i = 0; i < N; i++) {
+            b[i] = Math.sin(i) + mesh.vertices[i].pos[1];
+        }
+        const x = new SparseCholesky(A).solve(b);
+        let Ax = new Float64Array(N);
+        A.multiply(x, Ax);
+        assert.ok(maxDiff(Ax, b) < 1e-8*maxAbs(b), name + " " + weighting + " Cholesky residual is too large");
+        const xRCM = new SparseCholesky(A, 'rcm').solve(b);
+        assert.ok(maxDiff(x, xRCM) < 1e-8*maxAbs(x), name + " " + weighting + " orderings disagree");
+        const xCG = solveConjugateGradient(A, b, 1e-12, 10*N, 'ichol');
+        assert.ok(maxDiff(x, xCG) < 1e-6*maxAbs(x), name + " " + weighting + " conjugate gradient disagrees with Cholesky");
+    }
+}
+
+// Nested dissection should give a permutation, with far less fill than
+// reverse Cuthill-McKee on a large mesh
+let mesh = loadMesh('homer.off');
+const N = mesh.vertices.length;
+let diag = [];
+for (let i = 0; i < N; i++) {
+    diag.push(1);
+}
+const A = getLaplacianMatrix(mesh, 'uniform').combine(CSRMatrix.diagonal(diag), 1, 1);
+const perm = getNestedDissection(A);
+assert.strictEqual(perm.length, N);
+assert.deepStrictEqual(Array.from(perm).sort(function(a, b) { return a - b; }),
+                       Array.from(perm.keys()));
+const nnzDissection = new SparseCholesky(A).getNNZ();
+const nnzRCM = new SparseCholesky(A, 'rcm').getNNZ();
+assert.ok(nnzDissection < nnzRCM, "nested dissection has " + nnzDissection + " nonzeros, more than " + nnzRCM + " from RCM");
+
+// A singular Laplacian and an indefinite matrix aren't positive definite
+assert.throws(function() {
+    new SparseCholesky(getLaplacianMatrix(mesh, 'uniform'));
+}, /not positive definite/);
+let indefinite = new COOMatrix(3, 3);
+indefinite.add(0, 0, 1);
+indefinite.add(0, 1, 2);
+indefinite.add(1, 0, 2);
+indefinite.add(1, 1, 1);
+indefinite.add(2, 2, 1);
+assert.throws(function() {
+    new SparseCholesky(indefinite.toCSR());
+}, /not positive definite/);
+assert.throws(function() {
+    new SparseCholesky(new COOMatrix(2, 3).toCSR());
+}, /must be square/);
+
+console.log("sparse: ok");